@@ -2,45 +2,201 @@
 
 const SCRIPT_VERSION = 'v1.0.0';
 
+/** KWin.ElectricBorder names in order of the screenEdge setting values, 0 means none. */
+const SCREEN_EDGES = [
+    null,
+    'ElectricTop',
+    'ElectricTopRight',
+    'ElectricRight',
+    'ElectricBottomRight',
+    'ElectricBottom',
+    'ElectricBottomLeft',
+    'ElectricLeft',
+    'ElectricTopLeft',
+];
+
+/** Log levels in order of severity, the logLevel setting is an index in it. */
+const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+/**
+ * EventLog - bounded buffer of recent log events, kept regardless of log level.
+ * @class EventLog
+ */
+class EventLog {
+    /**
+     * @param {number} capacity - Maximum number of kept events.
+     */
+    constructor(capacity) {
+        /** @type {number} */
+        this.capacity = capacity;
+        /** @type {{time: number, level: string, msg: string}[]} Events, the oldest first. */
+        this.events = [];
+    }
+
+    /**
+     * Records an event, dropping the oldest one if the buffer is full.
+     * @param {string} level - One of LOG_LEVELS.
+     * @param {string} msg
+     */
+    add(level, msg) {
+        this.events.push({ time: Date.now(), level, msg });
+        if (this.events.length > this.capacity) {
+            this.events.shift();
+        }
+    }
+
+    /**
+     * Formats events for humans.
+     * @returns {string[]} Lines in the format "{ISO time} {level}: {msg}", the oldest first.
+     */
+    format() {
+        return this.events.map(
+            event => `${new Date(event.time).toISOString()} ${event.level}: ${event.msg}`,
+        );
+    }
+}
+
+/**
+ * Logs a message and records it in the event log.
+ * Message is printed if its level is at least the configured one, or if debug output
+ * is enabled.
+ * @param {string} level - One of LOG_LEVELS.
+ * @param {string} msg
+ * @param {...any} args
+ */
+function log(level, msg, ...args) {
+    log.events.add(level, [msg, ...args].join(' '));
+    if (debug.enabled || LOG_LEVELS.indexOf(level) >= log.level) {
+        const prefix = level === 'debug' ? 'LastUsedDesktops' : `LastUsedDesktops [${level}]`;
+        console.log(`${prefix}: ${msg}`, ...args);
+    }
+}
+log.level = readConfig('logLevel', 2);
+/** @type {EventLog} Recent events for state dumps. */
+log.events = new EventLog(50);
+
 /**
  * Unified debug logging function.
  * @param {string} msg
  * @param {...any} args
  */
 function debug(msg, ...args) {
-    if (debug.enabled) {
-        console.log(`LastUsedDesktops: ${msg}`, ...args);
-    }
+    log('debug', msg, ...args);
 }
 debug.enabled = readConfig('debugEnabled', false);
 
+/**
+ * Reads comma-separated list from the script configuration.
+ * @param {string} key
+ * @returns {string[]} Trimmed non-empty items.
+ */
+function readConfigList(key) {
+    return readConfig(key, '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item);
+}
+
+/**
+ * Formats duration for humans.
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} Duration in the format "1h 02m 03s", "2m 03s" or "3s".
+ */
+function formatDuration(ms) {
+    const total = Math.floor(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    const pad = n => String(n).padStart(2, '0');
+    if (h) {
+        return `${h}h ${pad(m)}m ${pad(sec)}s`;
+    } else if (m) {
+        return `${m}m ${pad(sec)}s`;
+    }
+    return `${sec}s`;
+}
+
 /**
  * DesktopMap - manages mapping between desktop numbers and IDs.
  * @class DesktopMap
  */
 class DesktopMap {
-    constructor() {
+    /**
+     * @param {function(KWin.VirtualDesktop): void} [onNumberChanged] - Called when desktop
+     *   number changes, mappings have to be rebuilt.
+     */
+    constructor(onNumberChanged) {
         /** @type {Object<number, string>} Map of desktop number to ID. */
         this.desktopID = {};
         /** @type {Object<string, number>} Map of desktop ID to number. */
         this.desktopNum = {};
+        /** @type {Object<string, string>} Map of desktop ID to name. */
+        this.desktopName = {};
+        /** @type {Object<string, boolean>} Desktop IDs which names and numbers are tracked. */
+        this.tracked = {};
+        /** @type {function(KWin.VirtualDesktop): void} */
+        this.onNumberChanged = onNumberChanged || (() => {});
     }
 
     /**
-     * Build mappings between X11 desktop numbers and desktop IDs (UUIDs).
-     * @param {KWin.VirtualDesktop[]} desktops
+     * Build mappings between desktop numbers and desktop IDs (UUIDs).
+     *
+     * Desktops are numbered by X11 desktop numbers if all of them are valid and unique,
+     * otherwise all desktops are numbered by position (desktops are in position order).
+     * Numbers may be missing on Wayland and are temporarily duplicated while desktops
+     * are being reordered.
+     * @param {KWin.VirtualDesktop[]} desktops - Desktops in position order.
      */
     build(desktops) {
-        debug(`Building desktop map for ${desktops.length} desktops`);
+        const numbers = desktops.map(desktop => desktop.x11DesktopNumber);
+        const useX11 = numbers.every(
+            (num, i) => Number.isInteger(num) && num > 0 && numbers.indexOf(num) === i,
+        );
+
         this.desktopID = {};
         this.desktopNum = {};
+        this.desktopName = {};
         for (let i = 0; i < desktops.length; i++) {
             const desktop = desktops[i];
-            const desktopNum = desktop.x11DesktopNumber || i + 1;
+            const desktopNum = useX11 ? desktop.x11DesktopNumber : i + 1;
             this.desktopID[desktopNum] = desktop.id;
             this.desktopNum[desktop.id] = desktopNum;
-            debug(`Desktop added: number ${desktopNum}, id ${desktop.id}`);
+            this.desktopName[desktop.id] = desktop.name;
+            this.track(desktop);
+        }
+        // Single event, so that rebuilds don't push other events out of the log.
+        const how = useX11 ? '' : ' by position, X11 numbers are missing or not unique';
+        debug(`Desktop map built${how}: ${desktops.map(d => this.desc(d.id)).join(', ')}`);
+
+        // Removed desktops are gone together with their signals.
+        for (const id of Object.keys(this.tracked)) {
+            if (!(id in this.desktopNum)) {
+                delete this.tracked[id];
+            }
+        }
+    }
+
+    /**
+     * Keep desktop name and number up to date when desktop is renamed or moved.
+     * @param {KWin.VirtualDesktop} desktop
+     * @private
+     */
+    track(desktop) {
+        if (this.tracked[desktop.id]) {
+            return;
         }
+        this.tracked[desktop.id] = true;
+        desktop.nameChanged.connect(() => {
+            debug(`Signal: Desktop ${this.desc(desktop.id)} renamed to "${desktop.name}"`);
+            if (desktop.id in this.desktopName) {
+                this.desktopName[desktop.id] = desktop.name;
+            }
+        });
+        desktop.x11DesktopNumberChanged.connect(() => {
+            if (desktop.id in this.desktopNum) {
+                this.onNumberChanged(desktop);
+            }
+        });
     }
 
     /**
@@ -52,14 +208,36 @@ class DesktopMap {
         return this.desktopID[num];
     }
 
+    /**
+     * Returns desktop ID by name.
+     * @param {string} name
+     * @returns {string|undefined} ID of the first desktop with this name.
+     */
+    idByName(name) {
+        return Object.keys(this.desktopName).find(id => this.desktopName[id] === name);
+    }
+
+    /**
+     * Returns desktop name by ID.
+     * @param {string} id - Desktop ID (UUID).
+     * @returns {string} Name of the desktop or its description if it has no name.
+     */
+    name(id) {
+        return this.desktopName[id] || this.desc(id);
+    }
+
     /**
      * Returns a human-readable description for a desktop ID.
      * @param {string} id - Desktop ID (UUID).
-     * @returns {string} Description in the format "desktop {number}" or "desktop {id}".
+     * @returns {string} Description in the format "{name} ({number})", "desktop {number}"
+     *   or "desktop {id}".
      */
     desc(id) {
         const desktopNum = this.desktopNum[id];
-        if (desktopNum) {
+        const name = this.desktopName[id];
+        if (desktopNum && name) {
+            return `${name} (${desktopNum})`;
+        } else if (desktopNum) {
             return `desktop ${desktopNum}`;
         } else {
             return `desktop ${id}`;
@@ -72,11 +250,30 @@ class DesktopMap {
  * @class ShortcutContinuation
  */
 class ShortcutContinuation {
-    constructor() {
+    /**
+     * @param {function(): void} [onExpired] - Called when delay expires after the last press.
+     */
+    constructor(onExpired) {
         /** @type {number} Delay in ms to detect continuation of shortcut presses. */
-        this.delay = readConfig('continuationDelay', 500);
+        this.delay = 500;
         /** @type {number} Timestamp of the last shortcut press. */
         this.lastTime = 0;
+        /** @type {QTimer|null} Timer to detect expired delay, null if not needed. */
+        this.timer = null;
+        if (onExpired) {
+            this.timer = new QTimer();
+            this.timer.singleShot = true;
+            this.timer.timeout.connect(onExpired);
+        }
+
+        this.loadConfig();
+    }
+
+    /**
+     * Reads settings from the script configuration.
+     */
+    loadConfig() {
+        this.delay = readConfig('continuationDelay', 500);
     }
 
     /**
@@ -87,10 +284,340 @@ class ShortcutContinuation {
         const now = Date.now();
         const timeDiff = now - this.lastTime;
         this.lastTime = now;
+        if (this.timer) {
+            this.timer.interval = this.delay;
+            this.timer.start();
+        }
         return timeDiff < this.delay;
     }
 }
 
+/**
+ * WalkOSD - shows history navigation using Plasma on-screen display.
+ * @class WalkOSD
+ */
+class WalkOSD {
+    constructor() {
+        /** @type {boolean} */
+        this.enabled = true;
+        /** @type {boolean} True while the last shown text is the walk through history. */
+        this.visible = false;
+
+        this.loadConfig();
+    }
+
+    /**
+     * Reads settings from the script configuration.
+     */
+    loadConfig() {
+        this.enabled = readConfig('osdEnabled', true);
+    }
+
+    /**
+     * Shows desktop names in most recently used order with the candidate highlighted.
+     * @param {string[]} names - Desktop names in history order (current is the last).
+     * @param {number} idx - Index of the candidate desktop in names.
+     */
+    show(names, idx) {
+        if (!this.enabled) {
+            return;
+        }
+        const text = names
+            .map((name, i) => (i === idx ? `[${name}]` : name))
+            .reverse()
+            .join('  ');
+        this.visible = true;
+        callDBus(
+            'org.kde.plasmashell',
+            '/org/kde/osdService',
+            'org.kde.osdService',
+            'showText',
+            'preferences-desktop-virtual',
+            text,
+        );
+    }
+
+    /**
+     * Stops showing navigation, replacing it with the name of the desktop it ended on.
+     * Plasma OSD has no method to close it, it closes itself shortly after last update,
+     * so a stale walk doesn't stay on screen.
+     * @param {string} name - Name of the desktop the walk ended on.
+     */
+    hide(name) {
+        if (!this.visible) {
+            return;
+        }
+        this.visible = false;
+        callDBus(
+            'org.kde.plasmashell',
+            '/org/kde/osdService',
+            'org.kde.osdService',
+            'showText',
+            'preferences-desktop-virtual',
+            name,
+        );
+    }
+}
+
+/**
+ * DBusStorage - key-value storage provided by a D-Bus service.
+ *
+ * The service must implement method Get(key) returning a string (empty if not set)
+ * and method Set(key, value) at object path /LastUsedDesktops
+ * with interface org.kde.LastUsedDesktops.Storage.
+ * @class DBusStorage
+ */
+class DBusStorage {
+    /**
+     * @param {string} service - D-Bus service name.
+     */
+    constructor(service) {
+        /** @type {string} */
+        this.service = service;
+        /** @type {string} */
+        this.path = '/LastUsedDesktops';
+        /** @type {string} */
+        this.interfaceName = 'org.kde.LastUsedDesktops.Storage';
+    }
+
+    /**
+     * Reads value by key.
+     * @param {string} key
+     * @param {function(string): void} callback - Called with the value when it's read.
+     */
+    get(key, callback) {
+        callDBus(this.service, this.path, this.interfaceName, 'Get', key, callback);
+    }
+
+    /**
+     * Writes value by key.
+     * @param {string} key
+     * @param {string} value
+     */
+    set(key, value) {
+        callDBus(this.service, this.path, this.interfaceName, 'Set', key, value);
+    }
+}
+
+/**
+ * HistoryStore - saves and restores desktop history between script runs.
+ * @class HistoryStore
+ */
+class HistoryStore {
+    constructor() {
+        /** @type {string} Storage key for the history. */
+        this.key = 'desktopHistory';
+        /** @type {string|null} D-Bus service used as storage, null if persistence is disabled. */
+        this.service = null;
+        /**
+         * @type {{get: function(string, function(string): void): void, set: function(string, string): void}|null}
+         * Storage backend, null if persistence is disabled.
+         */
+        this.storage = null;
+        /** @type {boolean} True after saved history was loaded, to avoid overwriting it. */
+        this.loaded = false;
+
+        this.loadConfig();
+    }
+
+    /**
+     * Reads settings from the script configuration.
+     * Storage is replaced only if settings were changed, new storage must be loaded.
+     * @returns {boolean} True if storage was replaced.
+     */
+    loadConfig() {
+        const service = readConfig('persistHistory', false)
+            ? readConfig('historyStoreService', 'org.kde.LastUsedDesktops')
+            : null;
+        if (service === this.service) {
+            return false;
+        }
+
+        this.service = service;
+        this.storage = service ? new DBusStorage(service) : null;
+        this.loaded = false;
+        return true;
+    }
+
+    /**
+     * Loads saved history.
+     * @param {function(Object<string, string[]>): void} callback - Called with saved
+     *   histories (map of activity ID to desktop IDs) when they're loaded.
+     */
+    load(callback) {
+        if (!this.storage) {
+            return;
+        }
+        this.storage.get(this.key, value => {
+            this.loaded = true;
+            callback(this.parse(value));
+        });
+    }
+
+    /**
+     * Parses saved history, skipping activities which history isn't a list of desktop IDs.
+     * @param {string} value - Saved JSON, empty if nothing is saved.
+     * @returns {Object<string, string[]>} Map of activity ID to desktop IDs.
+     * @private
+     */
+    parse(value) {
+        let data = null;
+        try {
+            data = value ? JSON.parse(value) : null;
+        } catch (e) {
+            log('warning', `Failed to parse saved history: ${e}`);
+        }
+
+        const activities = data && typeof data.activities === 'object' ? data.activities : null;
+        const histories = {};
+        for (const activity of Object.keys(activities || {})) {
+            const history = activities[activity];
+            if (Array.isArray(history) && history.every(id => typeof id === 'string')) {
+                histories[activity] = history;
+            } else {
+                log('warning', `Skipping invalid saved history of activity ${activity}`);
+            }
+        }
+        return histories;
+    }
+
+    /**
+     * Saves history.
+     * @param {Object<string, string[]>} histories - Map of activity ID to desktop IDs.
+     */
+    save(histories) {
+        if (!this.storage || !this.loaded) {
+            return;
+        }
+        this.storage.set(this.key, JSON.stringify({ activities: histories }));
+    }
+}
+
+/**
+ * Frecency - ranks desktops by how often and how recently they were visited.
+ *
+ * Every visit adds 1 to the desktop score and scores halve every half-life,
+ * so a desktop visited once an hour ranks below the ones used all the time.
+ * Decay is the same for all desktops, so their ranking changes only on visits.
+ * @class Frecency
+ */
+class Frecency {
+    constructor() {
+        /** @type {number} Time in ms in which a visit loses half of its weight. */
+        this.halfLife = 30 * 60 * 1000;
+        /** @type {Object<string, {score: number, time: number}>} Map of desktop ID to its score. */
+        this.scores = {};
+    }
+
+    /**
+     * Records a visit of a desktop.
+     * @param {string} id - Desktop ID.
+     */
+    visit(id) {
+        const now = Date.now();
+        this.scores[id] = { score: this.score(id, now) + 1, time: now };
+    }
+
+    /**
+     * Returns score of a desktop.
+     * @param {string} id - Desktop ID.
+     * @param {number} now - Timestamp to compute the score at.
+     * @returns {number} Score, 0 if the desktop was never visited.
+     */
+    score(id, now) {
+        const entry = this.scores[id];
+        if (!entry) {
+            return 0;
+        }
+        return entry.score * Math.pow(2, -(now - entry.time) / this.halfLife);
+    }
+
+    /**
+     * Sorts desktops by score, the highest score is the last.
+     * Desktops with equal scores keep their order.
+     * @param {string[]} ids - Desktop IDs.
+     * @returns {string[]} New sorted array.
+     */
+    rank(ids) {
+        const now = Date.now();
+        const scores = new Map(ids.map(id => [id, this.score(id, now)]));
+        return ids.slice().sort((a, b) => scores.get(a) - scores.get(b));
+    }
+
+    /**
+     * Drops scores of desktops which no longer exist.
+     * @param {Set<string>} ids - IDs of existing desktops.
+     */
+    retain(ids) {
+        for (const id of Object.keys(this.scores)) {
+            if (!ids.has(id)) {
+                delete this.scores[id];
+            }
+        }
+    }
+}
+
+/**
+ * UsageStats - tracks how long each desktop stays current and how many times it's entered.
+ * @class UsageStats
+ */
+class UsageStats {
+    constructor() {
+        /** @type {number} Timestamp when tracking started. */
+        this.since = Date.now();
+        /**
+         * @type {Object<string, {name: string, time: number, visits: number}>}
+         * Map of desktop ID to its usage, time in ms. Name is the last known one.
+         */
+        this.desktops = {};
+        /** @type {string|null} ID of the current desktop. */
+        this.currentID = null;
+        /** @type {number} Timestamp when the current desktop was entered. */
+        this.enteredAt = 0;
+    }
+
+    /**
+     * Records that a desktop became current, adding time spent on the previous one.
+     * @param {string} id - Desktop ID.
+     * @param {string} name - Desktop name.
+     */
+    enter(id, name) {
+        const now = Date.now();
+        if (this.currentID !== null) {
+            this.desktops[this.currentID].time += now - this.enteredAt;
+        }
+        if (!this.desktops[id]) {
+            this.desktops[id] = { name, time: 0, visits: 0 };
+        }
+        this.desktops[id].name = name;
+        this.desktops[id].visits++;
+        this.currentID = id;
+        this.enteredAt = now;
+    }
+
+    /**
+     * Returns usage of all desktops, including time on the current one so far.
+     * @param {function(string): (string|undefined)} nameOf - Returns current name of a desktop,
+     *   undefined if it no longer exists.
+     * @returns {{id: string, name: string, time: number, visits: number}[]} Usage sorted by
+     *   time, the longest first.
+     */
+    report(nameOf) {
+        const now = Date.now();
+        return Object.keys(this.desktops)
+            .map(id => {
+                const entry = this.desktops[id];
+                return {
+                    id,
+                    name: nameOf(id) || entry.name,
+                    time: entry.time + (id === this.currentID ? now - this.enteredAt : 0),
+                    visits: entry.visits,
+                };
+            })
+            .sort((a, b) => b.time - a.time);
+    }
+}
+
 /**
  * Last Used Virtual Desktops - KWin Script.
  *
@@ -107,21 +634,173 @@ class LastUsedDesktops {
      */
     constructor() {
         /** @type {DesktopMap} */
-        this.map = new DesktopMap();
+        this.map = new DesktopMap(desktop => this.onDesktopNumberChanged(desktop));
         /** @type {ShortcutContinuation} */
-        this.continuation = new ShortcutContinuation();
+        this.continuation = new ShortcutContinuation(() => this.onContinuationExpired());
+        /** @type {ShortcutContinuation} Continuation of moving window without following it. */
+        this.windowContinuation = new ShortcutContinuation();
+        /** @type {ShortcutContinuation} Continuation of moving window to a desktop by number. */
+        this.toggleWindowContinuation = new ShortcutContinuation();
+        /** @type {ShortcutContinuation} Continuation of moving through the desktop grid. */
+        this.gridContinuation = new ShortcutContinuation();
+        /** @type {QTimer} Coalesces map rebuilds after a batch of desktop number changes. */
+        this.rebuildTimer = new QTimer();
+        this.rebuildTimer.singleShot = true;
+        this.rebuildTimer.interval = 0;
+        this.rebuildTimer.timeout.connect(() => this.onRebuildTimeout());
+        /** @type {boolean} True while a map rebuild is scheduled. */
+        this.rebuildPending = false;
+        /** @type {HistoryStore} */
+        this.store = new HistoryStore();
+        /** @type {WalkOSD} */
+        this.osd = new WalkOSD();
+        /** @type {Frecency} */
+        this.frecency = new Frecency();
+        /** @type {UsageStats} */
+        this.usage = new UsageStats();
 
-        /** @type {string[]} History of desktop IDs in usage order (current is the last). */
+        /** @type {string} ID of the activity which history is in use. */
+        this.activity = workspace.currentActivity;
+        /** @type {Object<string, string[]>} Map of activity ID to its desktop history. */
+        this.histories = {};
         this.desktopHistory = [workspace.currentDesktop.id];
         /** @type {number|null} Candidate desktop index during (continuing) navigation. */
         this.candidateIdx = null;
+        /** @type {number} Number of registered direct navigation shortcuts. */
+        this.toggleShortcutCount = 0;
+        /** @type {number|null} Candidate desktop index during (continuing) window moving. */
+        this.windowCandidateIdx = null;
+        /** @type {WeakMap<KWin.Window, string>} Desktop ID each moved window came from. */
+        this.windowOrigin = new WeakMap();
+        /**
+         * @type {{window: KWin.Window, targetID: string}|null}
+         * Window sent to another desktop by the last "Move Window to Desktop N" press.
+         * Unless it followed, it's no longer active, but continuing presses still apply to it.
+         */
+        this.toggledWindow = null;
+        /**
+         * @type {{window: KWin.Window, targetID: string}|null}
+         * Window moved through history by the last "Move Window to Previous Used Desktop" press.
+         */
+        this.movedWindow = null;
+        /** @type {boolean} True while a window is being moved by the script. */
+        this.movingWindow = false;
+        /** @type {boolean} True while the script switches desktop. */
+        this.navigating = false;
+        /** @type {boolean} Switch to the desktop the window was moved to. */
+        this.moveWindowFollow = false;
+        /** @type {string[]} Names or IDs of desktops which are never added to history. */
+        this.excludedDesktops = [];
+        /** @type {number} Minimum time in ms on a desktop to record it in history. */
+        this.minDwellTime = 0;
+        /** @type {string[]|null} History before the current desktop was entered. */
+        this.dwellSnapshot = null;
+        /** @type {number} Timestamp when the current desktop was entered. */
+        this.dwellStart = 0;
+        /** @type {KWin.ElectricBorder|null} Screen edge activating history navigation. */
+        this.screenEdge = null;
+        /** @type {Object<string, KWin.Window>} Map of desktop ID to its last active window. */
+        this.desktopWindow = {};
+        /** @type {Object<string, boolean>} Desktop names with registered shortcuts. */
+        this.nameShortcuts = {};
+        /** @type {boolean} Create missing desktop on name-bound navigation. */
+        this.createNamedDesktops = false;
+        /** @type {boolean} Create missing desktops up to the number on direct navigation. */
+        this.createMissingDesktops = false;
+        /** @type {boolean} Keep one empty desktop at the end and remove unused empty ones. */
+        this.dynamicDesktops = false;
+        /** @type {number} Number of most recently used desktops which are kept when empty. */
+        this.dynamicRecentCount = 3;
+        /**
+         * @type {string|null} Desktop created by direct navigation. While it's current,
+         * empty desktops aren't removed in dynamic mode, so it keeps its number.
+         */
+        this.createdDesktopID = null;
+        /** @type {boolean} True while desktops are being added or removed in dynamic mode. */
+        this.maintainingDesktops = false;
+        /** @type {WeakSet<KWin.Window>} Windows which desktop changes are tracked. */
+        this.trackedWindows = new WeakSet();
+        /** @type {boolean} Wrap around desktop grid edges. */
+        this.gridWrap = false;
+        /** @type {string[]|null} History before the series of moves through the grid. */
+        this.gridSnapshot = null;
+        /** @type {string|null} Desktop ID the last move through the grid went to. */
+        this.gridTargetID = null;
+        /** @type {boolean} Walk through history ranked by frecency instead of recency. */
+        this.frecencyWalk = false;
+        /** @type {Object<number, string>} Map of mark slot (1-9) to desktop ID. */
+        this.marks = {};
 
-        debug(`Script started (version: ${SCRIPT_VERSION})`);
+        log('info', `Script started (version: ${SCRIPT_VERSION})`);
 
         this.initDesktops();
+        this.usage.enter(workspace.currentDesktop.id, this.map.name(workspace.currentDesktop.id));
+        this.store.load(histories => this.restoreHistory(histories));
 
         this.connectSignals();
         this.registerShortcuts();
+        registerUserActionsMenu(window => this.onUserActionsMenu(window));
+        this.loadConfig();
+    }
+
+    /**
+     * Reads settings from the script configuration.
+     * @private
+     */
+    loadConfig() {
+        debug.enabled = readConfig('debugEnabled', false);
+        log.level = readConfig('logLevel', 2);
+        this.continuation.loadConfig();
+        this.windowContinuation.loadConfig();
+        this.toggleWindowContinuation.loadConfig();
+        this.gridContinuation.loadConfig();
+        this.osd.loadConfig();
+        if (this.store.loadConfig()) {
+            this.store.load(histories => this.restoreHistory(histories));
+        }
+        this.moveWindowFollow = readConfig('moveWindowFollow', false);
+        this.gridWrap = readConfig('gridWrap', false);
+        this.frecencyWalk = readConfig('frecencyWalk', false);
+        this.excludedDesktops = readConfigList('excludedDesktops');
+        this.reconcileHistory();
+        this.minDwellTime = readConfig('minDwellTime', 0);
+        this.setScreenEdge(readConfig('screenEdge', 0));
+
+        const count = readConfig('toggleShortcutCount', 20);
+        this.registerToggleShortcuts(Math.max(count, workspace.desktops.length));
+        this.createNamedDesktops = readConfig('createNamedDesktops', false);
+        this.createMissingDesktops = readConfig('createMissingDesktops', false);
+        this.registerNameShortcuts(readConfigList('desktopNameShortcuts'));
+
+        this.dynamicDesktops = readConfig('dynamicDesktops', false);
+        this.dynamicRecentCount = readConfig('dynamicRecentCount', 3);
+        this.maintainDynamicDesktops();
+    }
+
+    /**
+     * History of desktop IDs in usage order (current is the last) for the current activity.
+     * @type {string[]}
+     */
+    get desktopHistory() {
+        return this.histories[this.activity];
+    }
+
+    set desktopHistory(history) {
+        this.histories[this.activity] = history;
+    }
+
+    /**
+     * Desktop IDs in walk order (current is the last), which the candidate index refers to.
+     * Same as history, unless the walk is ranked by frecency.
+     * History doesn't change during a walk, so neither does this order.
+     * @type {string[]}
+     */
+    get walkHistory() {
+        const history = this.desktopHistory;
+        if (!this.frecencyWalk || history.length < 3) {
+            return history;
+        }
+        return this.frecency.rank(history.slice(0, -1)).concat(history.slice(-1));
     }
 
     /**
@@ -129,27 +808,127 @@ class LastUsedDesktops {
      * @private
      */
     initDesktops() {
+        this.rebuildMap();
+        this.reconcileHistory();
+    }
+
+    /**
+     * Rebuild the desktop map, cancelling a scheduled rebuild.
+     * @private
+     */
+    rebuildMap() {
+        this.rebuildPending = false;
         this.map.build(workspace.desktops);
-        this.resetHistory();
     }
 
     /**
-     * Reset the desktop history to the current desktop.
+     * Reset the desktop history of all activities to the current desktop.
      * @private
      */
     resetHistory() {
+        this.histories = {};
         this.desktopHistory = [workspace.currentDesktop.id];
         this.candidateIdx = null;
         debug(`History reset to [${this.map.desc(this.desktopHistory[0])}]`);
     }
 
+    /**
+     * Restore saved history of all activities.
+     * Desktops used since the script start are kept as more recent than restored ones.
+     * @param {Object<string, string[]>} saved - Map of activity ID to saved desktop IDs.
+     * @private
+     */
+    restoreHistory(saved) {
+        const ids = new Set(workspace.desktops.map(desktop => desktop.id));
+        const activities = new Set(workspace.activities);
+
+        this.finalizeContinuing();
+        this.dwellSnapshot = null;
+        for (const activity of Object.keys(saved)) {
+            if (!activities.has(activity) && activity !== this.activity) {
+                debug(`Skipping saved history of removed activity ${activity}`);
+                continue;
+            }
+            const history = this.histories[activity] || [];
+            const restored = saved[activity].filter(
+                (id, i, all) =>
+                    ids.has(id) &&
+                    !this.isExcluded(id) &&
+                    all.indexOf(id) === i &&
+                    !history.includes(id),
+            );
+            this.histories[activity] = restored.concat(history);
+            debug(`Restored ${restored.length} desktops to history of activity ${activity}`);
+        }
+    }
+
+    /**
+     * Save history of all activities.
+     * @private
+     */
+    saveHistory() {
+        this.store.save(this.histories);
+    }
+
+    /**
+     * Remove desktops which no longer exist or are excluded from the history of all activities.
+     * Keeps order of remaining desktops and continuing navigation, if possible.
+     * @private
+     */
+    reconcileHistory() {
+        const ids = new Set(workspace.desktops.map(desktop => desktop.id));
+        this.frecency.retain(ids);
+        const candidateID = this.candidateIdx === null ? null : this.walkHistory[this.candidateIdx];
+
+        for (const activity of Object.keys(this.histories)) {
+            const history = this.histories[activity];
+            const kept = history.filter(id => ids.has(id) && !this.isExcluded(id));
+            if (kept.length !== history.length) {
+                debug(
+                    `Removed ${history.length - kept.length} desktops from history of activity ${activity}`,
+                );
+                this.histories[activity] = kept;
+                this.dwellSnapshot = null;
+                this.gridSnapshot = null;
+                this.saveHistory();
+            }
+        }
+
+        if (candidateID !== null) {
+            const idx = this.walkHistory.indexOf(candidateID);
+            if (idx === -1) {
+                debug(`Continuing navigation cancelled: ${this.map.desc(candidateID)} removed`);
+                this.candidateIdx = null;
+                this.osd.hide(this.map.name(workspace.currentDesktop.id));
+            } else {
+                this.candidateIdx = idx;
+            }
+        }
+
+        // Current desktop must be the last one in history unless navigation continues
+        // or it's excluded.
+        const currentID = workspace.currentDesktop.id;
+        const lastID = this.desktopHistory[this.desktopHistory.length - 1];
+        if (this.candidateIdx === null && lastID !== currentID) {
+            this.addToHistory(currentID);
+        }
+    }
+
     /**
      * Connect to KWin signals.
      * @private
      */
     connectSignals() {
         workspace.desktopsChanged.connect(this.onDesktopsChanged.bind(this));
+        workspace.desktopLayoutChanged.connect(this.onDesktopLayoutChanged.bind(this));
         workspace.currentDesktopChanged.connect(this.onCurrentDesktopChanged.bind(this));
+        workspace.currentActivityChanged.connect(this.onCurrentActivityChanged.bind(this));
+        workspace.activityAdded.connect(this.onActivityAdded.bind(this));
+        workspace.activityRemoved.connect(this.onActivityRemoved.bind(this));
+        workspace.windowActivated.connect(this.onWindowActivated.bind(this));
+        workspace.windowAdded.connect(this.onWindowAdded.bind(this));
+        workspace.windowRemoved.connect(this.onWindowRemoved.bind(this));
+        options.configChanged.connect(this.onConfigChanged.bind(this));
     }
 
     /**
@@ -163,25 +942,190 @@ class LastUsedDesktops {
             'Meta+Tab',
             () => this.onPrevUsedDesktop(),
         );
+        registerShortcut(
+            'Last Used Virtual Desktops (Reverse)',
+            'Navigate forward through virtual desktops history',
+            'Meta+Shift+Tab',
+            () => this.onNextUsedDesktop(),
+        );
+        registerShortcut(
+            'Move Window to Previous Used Desktop',
+            'Move active window to previously used virtual desktop',
+            '', // No default shortcut - user assigns in System Settings.
+            () => this.onMoveWindowToPrevUsedDesktop(false),
+        );
+        registerShortcut(
+            'Move Window to Previous Used Desktop and Follow',
+            'Move active window to previously used virtual desktop and switch to it',
+            '', // No default shortcut - user assigns in System Settings.
+            () => this.onMoveWindowToPrevUsedDesktop(true),
+        );
+
+        registerShortcut(
+            'Dump Last Used Desktops State',
+            'Dump Last Used Desktops state',
+            '', // No default shortcut - user assigns in System Settings.
+            () => this.onDumpState(),
+        );
+        registerShortcut(
+            'Log Desktop Usage Statistics',
+            'Write virtual desktop usage statistics to the log',
+            '', // No default shortcut - user assigns in System Settings.
+            () => this.onLogUsageStats(),
+        );
 
-        debug(`Registering shortcuts for ${workspace.desktops.length} desktops`);
-        for (let i = 1; i <= Math.max(20, workspace.desktops.length); i++) {
+        const directions = [
+            ['Left', 'on the left', -1, 0],
+            ['Right', 'on the right', 1, 0],
+            ['Above', 'above', 0, -1],
+            ['Below', 'below', 0, 1],
+        ];
+        for (const [title, text, dx, dy] of directions) {
             registerShortcut(
-                `Go to Desktop ${i}`,
-                `Navigate to virtual desktop ${i} with toggle`,
+                `Go to Desktop ${title}`,
+                `Navigate to virtual desktop ${text} in the grid`,
                 '', // No default shortcut - user assigns in System Settings.
-                () => this.onToggleDesktop(i),
+                () => this.onGridDesktop(title, dx, dy),
             );
         }
-    }
 
-    /**
-     * Handle workspace.desktopsChanged signal.
-     * @private
-     */
-    onDesktopsChanged() {
-        debug('Signal: Desktops changed');
+        for (let slot = 1; slot <= 9; slot++) {
+            registerShortcut(
+                `Set Mark ${slot}`,
+                `Set mark ${slot} to the current virtual desktop`,
+                '', // No default shortcut - user assigns in System Settings.
+                () => this.onSetMark(slot),
+            );
+            registerShortcut(
+                `Jump to Mark ${slot}`,
+                `Navigate to virtual desktop of mark ${slot} with toggle`,
+                '', // No default shortcut - user assigns in System Settings.
+                () => this.onJumpToMark(slot),
+            );
+        }
+    }
+
+    /**
+     * Register screen edge which activates history navigation, replacing the previous one.
+     * @param {number} edge - Value of the screenEdge setting (index in SCREEN_EDGES).
+     * @private
+     */
+    setScreenEdge(edge) {
+        const name = SCREEN_EDGES[edge];
+        const border = name ? KWin[name] : null;
+        if (border === this.screenEdge) {
+            return;
+        }
+
+        if (this.screenEdge !== null) {
+            debug(`Unregistering screen edge ${this.screenEdge}`);
+            unregisterScreenEdge(this.screenEdge);
+            this.screenEdge = null;
+        }
+        if (border !== null) {
+            debug(`Registering screen edge ${name}`);
+            if (registerScreenEdge(border, () => this.onPrevUsedDesktop())) {
+                this.screenEdge = border;
+            } else {
+                log('warning', `Failed to register screen edge ${name}`);
+            }
+        }
+    }
+
+    /**
+     * Register direct navigation shortcuts for desktops up to the given number.
+     * Shortcuts which are already registered are skipped.
+     * @param {number} count - Number of the last desktop to register shortcut for.
+     * @private
+     */
+    registerToggleShortcuts(count) {
+        if (count <= this.toggleShortcutCount) {
+            return;
+        }
+
+        debug(`Registering shortcuts for desktops ${this.toggleShortcutCount + 1}-${count}`);
+        for (let i = this.toggleShortcutCount + 1; i <= count; i++) {
+            registerShortcut(
+                `Go to Desktop ${i}`,
+                `Navigate to virtual desktop ${i} with toggle`,
+                '', // No default shortcut - user assigns in System Settings.
+                () => this.onToggleDesktop(i),
+            );
+            registerShortcut(
+                `Move Window to Desktop ${i}`,
+                `Move active window to virtual desktop ${i} with toggle`,
+                '', // No default shortcut - user assigns in System Settings.
+                () => this.onToggleWindowDesktop(i),
+            );
+        }
+        this.toggleShortcutCount = count;
+    }
+
+    /**
+     * Register direct navigation shortcuts for desktops with the given names.
+     * Shortcuts which are already registered are skipped.
+     * KWin scripts can't unregister shortcuts, so removed names keep theirs until restart.
+     * @param {string[]} names - Desktop names.
+     * @private
+     */
+    registerNameShortcuts(names) {
+        for (const name of names) {
+            if (this.nameShortcuts[name]) {
+                continue;
+            }
+            debug(`Registering shortcut for desktop "${name}"`);
+            registerShortcut(
+                `Go to Desktop '${name}'`,
+                `Navigate to virtual desktop '${name}' with toggle`,
+                '', // No default shortcut - user assigns in System Settings.
+                () => this.onToggleNamedDesktop(name),
+            );
+            this.nameShortcuts[name] = true;
+        }
+    }
+
+    /**
+     * Handle workspace.desktopsChanged signal.
+     * @private
+     */
+    onDesktopsChanged() {
+        debug('Signal: Desktops changed');
         this.initDesktops();
+        this.registerToggleShortcuts(workspace.desktops.length);
+    }
+
+    /**
+     * Handle workspace.desktopLayoutChanged signal.
+     * @private
+     */
+    onDesktopLayoutChanged() {
+        debug('Signal: Desktop layout changed');
+        this.rebuildMap();
+    }
+
+    /**
+     * Handle VirtualDesktop.x11DesktopNumberChanged signal.
+     * Moving a desktop renumbers all desktops in between one by one, so the map
+     * is rebuilt once after the whole batch.
+     * @param {KWin.VirtualDesktop} _desktop
+     * @private
+     */
+    onDesktopNumberChanged(_desktop) {
+        if (!this.rebuildPending) {
+            debug('Signal: Desktop numbers changed');
+            this.rebuildPending = true;
+            this.rebuildTimer.start();
+        }
+    }
+
+    /**
+     * Handle timeout of the map rebuild timer.
+     * @private
+     */
+    onRebuildTimeout() {
+        if (this.rebuildPending) {
+            this.rebuildMap();
+        }
     }
 
     /**
@@ -193,9 +1137,138 @@ class LastUsedDesktops {
         const prev = this.map.desc(prevDesktop.id);
         const current = this.map.desc(workspace.currentDesktop.id);
         debug(`Signal: Current desktop changed from ${prev} to ${current}`);
+        const id = workspace.currentDesktop.id;
+        this.usage.enter(id, this.map.name(id));
         this.handleCurrentDesktopChanged();
     }
 
+    /**
+     * Handle options.configChanged signal.
+     * @private
+     */
+    onConfigChanged() {
+        debug('Signal: Config changed');
+        this.loadConfig();
+    }
+
+    /**
+     * Handle expired continuation delay.
+     * @private
+     */
+    onContinuationExpired() {
+        debug('Timer: Continuation delay expired');
+        this.finalizeContinuing();
+        this.restoreWindow(workspace.currentDesktop.id);
+        this.maintainDynamicDesktops();
+    }
+
+    /**
+     * Handle workspace.currentActivityChanged signal.
+     * @param {string} id - ID of the new current activity.
+     * @private
+     */
+    onCurrentActivityChanged(id) {
+        debug(`Signal: Current activity changed from ${this.activity} to ${id}`);
+        this.handleCurrentActivityChanged(id);
+    }
+
+    /**
+     * Handle workspace.activityAdded signal.
+     * @param {string} id - ID of the added activity.
+     * @private
+     */
+    onActivityAdded(id) {
+        debug(`Signal: Activity ${id} added`);
+        if (!this.histories[id]) {
+            this.histories[id] = [];
+        }
+    }
+
+    /**
+     * Handle workspace.activityRemoved signal.
+     * @param {string} id - ID of the removed activity.
+     * @private
+     */
+    onActivityRemoved(id) {
+        debug(`Signal: Activity ${id} removed`);
+        if (id !== this.activity) {
+            delete this.histories[id];
+            this.saveHistory();
+        }
+    }
+
+    /**
+     * Handle workspace.windowActivated signal.
+     * @param {KWin.Window|null} window - Activated window, null if none.
+     * @private
+     */
+    onWindowActivated(window) {
+        // While walking or switching desktop windows are activated by the focus chain,
+        // not by the user.
+        if (window && !window.specialWindow && this.candidateIdx === null && !this.navigating) {
+            this.desktopWindow[workspace.currentDesktop.id] = window;
+        }
+        // Window activated by the focus chain when the moved window left is not
+        // a deliberate choice, any other activation is.
+        if (!this.movingWindow) {
+            if (this.toggledWindow && window !== this.toggledWindow.window) {
+                this.toggledWindow = null;
+            }
+            if (this.movedWindow && window !== this.movedWindow.window) {
+                this.movedWindow = null;
+            }
+        }
+    }
+
+    /**
+     * Handle workspace.windowRemoved signal.
+     * @param {KWin.Window} window - Removed window.
+     * @private
+     */
+    onWindowRemoved(window) {
+        for (const id of Object.keys(this.desktopWindow)) {
+            if (this.desktopWindow[id] === window) {
+                delete this.desktopWindow[id];
+            }
+        }
+        if (this.toggledWindow && this.toggledWindow.window === window) {
+            this.toggledWindow = null;
+        }
+        if (this.movedWindow && this.movedWindow.window === window) {
+            this.movedWindow = null;
+        }
+        this.maintainDynamicDesktops(window);
+    }
+
+    /**
+     * Handle workspace.windowAdded signal.
+     * @param {KWin.Window} _window - Added window.
+     * @private
+     */
+    onWindowAdded(_window) {
+        this.maintainDynamicDesktops();
+    }
+
+    /**
+     * Handle Window.desktopsChanged signal.
+     * @param {KWin.Window} window
+     * @private
+     */
+    onWindowDesktopsChanged(window) {
+        debug(`Signal: Window "${window.caption}" desktops changed`);
+        this.maintainDynamicDesktops();
+    }
+
+    /**
+     * Handle opening of the window menu.
+     * @param {KWin.Window} window - Window the menu is shown for.
+     * @returns {Object|undefined} Submenu to add to the window menu.
+     * @private
+     */
+    onUserActionsMenu(window) {
+        return this.recentDesktopsMenu(window);
+    }
+
     /**
      * Handle history navigation shortcut.
      * @private
@@ -204,6 +1277,36 @@ class LastUsedDesktops {
         const isContinuing = this.continuation.isContinuing();
         debug(`Shortcut: Previous used desktop (continuing: ${isContinuing})`);
         this.switchToPrevUsedDesktop(isContinuing);
+        this.showContinuing();
+    }
+
+    /**
+     * Handle state dump shortcut.
+     * @private
+     */
+    onDumpState() {
+        debug('Shortcut: Dump state');
+        this.dumpState();
+    }
+
+    /**
+     * Handle usage statistics shortcut.
+     * @private
+     */
+    onLogUsageStats() {
+        debug('Shortcut: Log desktop usage statistics');
+        this.logUsageStats();
+    }
+
+    /**
+     * Handle reverse history navigation shortcut.
+     * @private
+     */
+    onNextUsedDesktop() {
+        const isContinuing = this.continuation.isContinuing();
+        debug(`Shortcut: Next used desktop (continuing: ${isContinuing})`);
+        this.switchToNextUsedDesktop(isContinuing);
+        this.showContinuing();
     }
 
     /**
@@ -216,20 +1319,112 @@ class LastUsedDesktops {
         this.toggleDesktop(desktopNum);
     }
 
+    /**
+     * Handle direct desktop navigation by name with toggle functionality.
+     * @param {string} name - Target desktop name.
+     * @private
+     */
+    onToggleNamedDesktop(name) {
+        debug(`Shortcut: Toggle desktop "${name}"`);
+        this.toggleNamedDesktop(name);
+    }
+
+    /**
+     * Handle setting a mark to the current desktop.
+     * @param {number} slot - Mark slot (1-9).
+     * @private
+     */
+    onSetMark(slot) {
+        debug(`Shortcut: Set mark ${slot}`);
+        this.setMark(slot);
+    }
+
+    /**
+     * Handle navigation to a marked desktop with toggle functionality.
+     * @param {number} slot - Mark slot (1-9).
+     * @private
+     */
+    onJumpToMark(slot) {
+        debug(`Shortcut: Jump to mark ${slot}`);
+        this.jumpToMark(slot);
+    }
+
+    /**
+     * Handle moving active window to a desktop with toggle functionality.
+     * @param {number} desktopNum - Target desktop number (1-based).
+     * @private
+     */
+    onToggleWindowDesktop(desktopNum) {
+        const isContinuing = this.toggleWindowContinuation.isContinuing();
+        debug(`Shortcut: Move window to desktop ${desktopNum} (continuing: ${isContinuing})`);
+        this.toggleWindowDesktop(desktopNum, isContinuing);
+    }
+
+    /**
+     * Handle navigation through the desktop grid.
+     * @param {string} direction - Direction name for debug output.
+     * @param {number} dx - Column offset.
+     * @param {number} dy - Row offset.
+     * @private
+     */
+    onGridDesktop(direction, dx, dy) {
+        const isContinuing = this.gridContinuation.isContinuing();
+        debug(`Shortcut: Desktop ${direction} in the grid (continuing: ${isContinuing})`);
+        this.moveInGrid(dx, dy, isContinuing);
+    }
+
+    /**
+     * Handle moving active window to previously used desktop.
+     * @param {boolean} follow - Switch to the desktop together with the window.
+     * @private
+     */
+    onMoveWindowToPrevUsedDesktop(follow) {
+        const continuation = follow ? this.continuation : this.windowContinuation;
+        const isContinuing = continuation.isContinuing();
+        debug(
+            `Shortcut: Move window to previous used desktop (follow: ${follow}, continuing: ${isContinuing})`,
+        );
+        if (follow) {
+            this.moveWindowToPrevUsedDesktopAndFollow(isContinuing);
+        } else {
+            this.moveWindowToPrevUsedDesktop(isContinuing);
+        }
+    }
+
     /**
      * Updates the desktop history after a desktop change.
      * @private
      */
     handleCurrentDesktopChanged() {
         const id = workspace.currentDesktop.id;
-        if (this.candidateIdx === null || this.desktopHistory[this.candidateIdx] !== id) {
+        if (this.candidateIdx === null || this.walkHistory[this.candidateIdx] !== id) {
             this.finalizeContinuing();
+            this.collapseShortDwell();
             this.addToHistory(id);
+            this.maintainDynamicDesktops();
         } else {
             debug(`Skipping adding ${this.map.desc(id)} to history (continuing navigation)`);
         }
     }
 
+    /**
+     * Switches to the history of the new current activity.
+     * @param {string} id - ID of the new current activity.
+     * @private
+     */
+    handleCurrentActivityChanged(id) {
+        // Walk belongs to the history of the previous activity.
+        this.finalizeContinuing();
+
+        this.activity = id;
+        this.dwellSnapshot = null;
+        if (!this.desktopHistory) {
+            this.desktopHistory = [];
+        }
+        // Desktop may stay the same on activity switch, but it's current in this activity now.
+        this.addToHistory(workspace.currentDesktop.id);
+    }
+
     /**
      * Handles navigation to the previously used desktop.
      * @param {boolean} isContinuing - True if this is a continuation of previous navigation.
@@ -242,14 +1437,113 @@ class LastUsedDesktops {
             // First press - complete continuing navigation and start fresh.
             this.finalizeContinuing();
 
-            // Start from the previous desktop in history.
-            this.candidateIdx = this.desktopHistory.length - 2;
+            if (this.desktopHistory.length === 0) {
+                debug('History is empty');
+                return;
+            }
+            this.candidateIdx = this.prevUsedIdx();
         }
 
         if (this.candidateIdx < 0) {
             this.candidateIdx = 0;
         }
-        this.navigateToDesktop(this.desktopHistory[this.candidateIdx]);
+        this.navigateToDesktop(this.walkHistory[this.candidateIdx]);
+    }
+
+    /**
+     * Handles navigation forward through history, towards the most recently used desktop.
+     * @param {boolean} isContinuing - True if this is a continuation of previous navigation.
+     * @private
+     */
+    switchToNextUsedDesktop(isContinuing) {
+        if (isContinuing && this.candidateIdx !== null) {
+            this.candidateIdx++;
+        } else {
+            // First press - complete continuing navigation and start fresh.
+            this.finalizeContinuing();
+
+            if (this.desktopHistory.length === 0) {
+                debug('History is empty');
+                return;
+            }
+            // Start from the oldest desktop in history.
+            this.candidateIdx = 0;
+        }
+
+        if (this.candidateIdx > this.desktopHistory.length - 1) {
+            this.candidateIdx = this.desktopHistory.length - 1;
+        }
+        this.navigateToDesktop(this.walkHistory[this.candidateIdx]);
+    }
+
+    /**
+     * Navigates to the neighbour desktop in the grid.
+     * A series of moves is recorded in history as a single move from the desktop
+     * the series started on.
+     * @param {number} dx - Column offset.
+     * @param {number} dy - Row offset.
+     * @param {boolean} isContinuing - True if this is a continuation of previous moves.
+     * @private
+     */
+    moveInGrid(dx, dy, isContinuing) {
+        this.finalizeContinuing();
+        const targetID = this.gridNeighbourID(dx, dy);
+        if (!targetID) {
+            debug('No desktop in this direction');
+            return;
+        }
+
+        // Series is continued only if nothing else has changed the desktop meanwhile.
+        if (
+            isContinuing &&
+            this.gridSnapshot &&
+            workspace.currentDesktop.id === this.gridTargetID
+        ) {
+            this.desktopHistory = this.gridSnapshot.slice();
+        } else {
+            this.gridSnapshot = this.desktopHistory.slice();
+        }
+        this.gridTargetID = targetID;
+        this.navigateToDesktop(targetID);
+    }
+
+    /**
+     * Returns ID of the neighbour desktop of the current one in the grid.
+     * Desktops fill the grid row by row, the last row may be incomplete.
+     * @param {number} dx - Column offset.
+     * @param {number} dy - Row offset.
+     * @returns {string|undefined} Desktop ID, undefined if there is no other desktop.
+     * @private
+     */
+    gridNeighbourID(dx, dy) {
+        const desktops = workspace.desktops;
+        const currentID = workspace.currentDesktop.id;
+        const pos = desktops.findIndex(desktop => desktop.id === currentID);
+        if (pos === -1) {
+            return undefined;
+        }
+
+        const width = Math.max(workspace.desktopGridWidth || 1, 1);
+        const height = Math.ceil(desktops.length / width);
+        let col = pos % width;
+        let row = Math.floor(pos / width);
+        // Step over missing cells of the incomplete last row.
+        for (let i = 0; i < width * height; i++) {
+            col += dx;
+            row += dy;
+            if (col < 0 || col >= width || row < 0 || row >= height) {
+                if (!this.gridWrap) {
+                    return undefined;
+                }
+                col = (col + width) % width;
+                row = (row + height) % height;
+            }
+            const target = desktops[row * width + col];
+            if (target) {
+                return target.id === currentID ? undefined : target.id;
+            }
+        }
+        return undefined;
     }
 
     /**
@@ -258,19 +1552,414 @@ class LastUsedDesktops {
      * @private
      */
     toggleDesktop(desktopNum) {
-        const targetID = this.map.id(desktopNum);
-        const currentID = workspace.currentDesktop.id;
+        let targetID = this.map.id(desktopNum);
+        if (!targetID && this.createMissingDesktops) {
+            this.finalizeContinuing();
+            targetID = this.createDesktopsUpTo(desktopNum);
+        }
+        if (targetID) {
+            this.toggleDesktopID(targetID);
+        } else {
+            this.finalizeContinuing();
+            log('info', `Desktop ${desktopNum} not found`);
+        }
+    }
+
+    /**
+     * Handles direct navigation to a desktop by name with toggle functionality.
+     * Missing desktop is created if configured.
+     * @param {string} name - Target desktop name.
+     * @private
+     */
+    toggleNamedDesktop(name) {
+        const targetID = this.map.idByName(name);
+        if (targetID) {
+            this.toggleDesktopID(targetID);
+            return;
+        }
 
         this.finalizeContinuing();
-        if (!targetID) {
-            debug(`Desktop ${desktopNum} not found`);
-        } else if (currentID !== targetID) {
+        if (!this.createNamedDesktops) {
+            log('info', `Desktop "${name}" not found`);
+            return;
+        }
+        const createdID = this.createDesktop(workspace.desktops.length, name);
+        if (createdID) {
+            this.navigateToDesktop(createdID);
+        }
+    }
+
+    /**
+     * Sets a mark to the current desktop.
+     * Marks refer to desktop IDs, so they stay on the desktop when it's renumbered.
+     * @param {number} slot - Mark slot (1-9).
+     * @private
+     */
+    setMark(slot) {
+        const id = workspace.currentDesktop.id;
+        this.marks[slot] = id;
+        debug(`Mark ${slot} set to ${this.map.desc(id)}`);
+    }
+
+    /**
+     * Handles navigation to a marked desktop with toggle functionality.
+     * Mark of a removed desktop is cleared.
+     * @param {number} slot - Mark slot (1-9).
+     * @private
+     */
+    jumpToMark(slot) {
+        const targetID = this.marks[slot];
+        if (targetID && workspace.desktops.some(desktop => desktop.id === targetID)) {
+            this.toggleDesktopID(targetID);
+            return;
+        }
+
+        this.finalizeContinuing();
+        if (targetID) {
+            delete this.marks[slot];
+            log('info', `Mark ${slot} cleared: ${this.map.desc(targetID)} removed`);
+        } else {
+            log('info', `Mark ${slot} not set`);
+        }
+    }
+
+    /**
+     * Handles direct navigation to a desktop by ID with toggle functionality:
+     * if it's already the current desktop switches to the previous used desktop.
+     * @param {string} targetID - Target desktop ID.
+     * @private
+     */
+    toggleDesktopID(targetID) {
+        this.finalizeContinuing();
+        if (workspace.currentDesktop.id !== targetID) {
             this.navigateToDesktop(targetID);
         } else {
-            debug(`Already on desktop ${desktopNum}; switching to previous used desktop`);
-            this.switchToPrevUsedDesktop(false);
-            this.finalizeContinuing();
+            // Toggling goes back in plain MRU order, even when walks are ranked by frecency.
+            const idx = this.prevUsedIdx();
+            if (idx < 0) {
+                debug(`Already on ${this.map.desc(targetID)}; no previous used desktop`);
+                return;
+            }
+            debug(`Already on ${this.map.desc(targetID)}; switching to previous used desktop`);
+            this.navigateToDesktop(this.desktopHistory[idx]);
+        }
+    }
+
+    /**
+     * Keeps one empty desktop at the end in dynamic desktops mode.
+     * Other empty desktops are removed once they aren't among recently used desktops,
+     * but not while the desktop created by direct navigation is current.
+     * Does nothing while walking through history, to keep walked desktops in place.
+     * @param {KWin.Window} [removedWindow] - Window which is being removed.
+     * @private
+     */
+    maintainDynamicDesktops(removedWindow) {
+        if (!this.dynamicDesktops || this.maintainingDesktops || this.candidateIdx !== null) {
+            return;
+        }
+        this.maintainingDesktops = true;
+
+        const usedIDs = this.usedDesktopIDs(removedWindow);
+        const desktops = workspace.desktops.slice();
+        const last = desktops[desktops.length - 1];
+        if (usedIDs.has(last.id)) {
+            debug(`Last desktop ${this.map.desc(last.id)} is in use; adding empty desktop`);
+            this.createDesktop(desktops.length, '');
+        }
+
+        const keptIDs = new Set(this.desktopHistory.slice(-this.dynamicRecentCount));
+        keptIDs.add(workspace.currentDesktop.id);
+        keptIDs.add(last.id);
+        let removed = desktops.filter(
+            desktop => !usedIDs.has(desktop.id) && !keptIDs.has(desktop.id),
+        );
+        if (workspace.currentDesktop.id === this.createdDesktopID) {
+            debug('Keeping empty desktops on the desktop created by direct navigation');
+            removed = [];
+        } else {
+            this.createdDesktopID = null;
+        }
+        for (const desktop of removed) {
+            debug(`Removing empty desktop ${this.map.desc(desktop.id)}`);
+            workspace.removeDesktop(desktop);
+        }
+        if (removed.length > 0) {
+            // Don't wait for workspace.desktopsChanged signal.
+            this.initDesktops();
+        }
+
+        this.maintainingDesktops = false;
+    }
+
+    /**
+     * Returns IDs of desktops with normal windows.
+     * Tracks desktop changes of these windows.
+     * @param {KWin.Window} [ignoredWindow] - Window which is not counted.
+     * @returns {Set<string>}
+     * @private
+     */
+    usedDesktopIDs(ignoredWindow) {
+        const ids = new Set();
+        for (const window of workspace.stackingOrder) {
+            if (window === ignoredWindow || !window.normalWindow) {
+                continue;
+            }
+            if (!this.trackedWindows.has(window)) {
+                this.trackedWindows.add(window);
+                window.desktopsChanged.connect(() => this.onWindowDesktopsChanged(window));
+            }
+            // Windows on all desktops have no desktops and don't make any of them used.
+            window.desktops.forEach(desktop => ids.add(desktop.id));
+        }
+        return ids;
+    }
+
+    /**
+     * Creates desktops at the end until there are enough of them to have the given number.
+     * @param {number} desktopNum - Desktop number (1-based).
+     * @returns {string|undefined} ID of the desktop with the given number.
+     * @private
+     */
+    createDesktopsUpTo(desktopNum) {
+        while (workspace.desktops.length < desktopNum) {
+            // Empty name makes KWin use the default one.
+            if (!this.createDesktop(workspace.desktops.length, '')) {
+                break;
+            }
+            this.createdDesktopID = this.map.id(desktopNum) || null;
+        }
+        return this.map.id(desktopNum);
+    }
+
+    /**
+     * Creates a new desktop.
+     * Desktop map is rebuilt at once, without waiting for workspace.desktopsChanged signal.
+     * @param {number} position - Position of the new desktop (0-based).
+     * @param {string} name - Name of the new desktop.
+     * @returns {string|undefined} ID of the created desktop, undefined if it wasn't created.
+     * @private
+     */
+    createDesktop(position, name) {
+        debug(`Creating desktop "${name}" at position ${position}`);
+        const ids = new Set(workspace.desktops.map(desktop => desktop.id));
+        workspace.createDesktop(position, name);
+        this.map.build(workspace.desktops);
+
+        const created = workspace.desktops.find(desktop => !ids.has(desktop.id));
+        if (!created) {
+            log('warning', `Failed to create desktop "${name}"`);
+        }
+        return created && created.id;
+    }
+
+    /**
+     * Moves active window to a desktop with toggle functionality.
+     * If the window is already there it's moved back to the desktop it came from.
+     * A continuing press moves back the window sent to the desktop by the previous press,
+     * even though it's no longer active.
+     * @param {number} desktopNum - Target desktop number (1-based).
+     * @param {boolean} isContinuing - True if this is a continuation of previous moving.
+     * @private
+     */
+    toggleWindowDesktop(desktopNum, isContinuing) {
+        const targetID = this.map.id(desktopNum);
+        const moved = this.toggledWindow;
+        const window =
+            isContinuing &&
+            moved &&
+            moved.targetID === targetID &&
+            this.isOnlyOn(moved.window, targetID)
+                ? moved.window
+                : workspace.activeWindow;
+
+        this.finalizeContinuing();
+        if (!window) {
+            debug('No active window to move');
+        } else if (!targetID) {
+            log('info', `Desktop ${desktopNum} not found`);
+        } else if (!this.isOnlyOn(window, targetID)) {
+            const originID =
+                window.desktops.length === 1 ? window.desktops[0].id : workspace.currentDesktop.id;
+            this.windowOrigin.set(window, originID);
+            this.moveWindowToDesktop(window, targetID, this.moveWindowFollow);
+            this.toggledWindow = { window, targetID };
+        } else {
+            const originID =
+                this.windowOrigin.get(window) || this.desktopHistory[this.prevUsedIdx()];
+            this.windowOrigin.delete(window);
+            this.toggledWindow = null;
+            if (originID) {
+                debug(`Window already on ${this.map.desc(targetID)}; moving it back`);
+                this.moveWindowToDesktop(window, originID, this.moveWindowFollow);
+                // Window brought back to the current desktop gets its focus back.
+                if (window !== workspace.activeWindow && originID === workspace.currentDesktop.id) {
+                    workspace.activeWindow = window;
+                }
+            } else {
+                debug(`Window already on ${this.map.desc(targetID)}; nowhere to move it back`);
+            }
+        }
+    }
+
+    /**
+     * Moves active window to the previously used desktop without switching to it.
+     * Continuing presses keep moving the same window, which is no longer active.
+     * @param {boolean} isContinuing - True if this is a continuation of previous moving.
+     * @private
+     */
+    moveWindowToPrevUsedDesktop(isContinuing) {
+        const continuing =
+            isContinuing && this.windowCandidateIdx !== null && this.movedWindow !== null;
+        const window = continuing ? this.movedWindow.window : workspace.activeWindow;
+        if (!window) {
+            debug('No active window to move');
+            this.windowCandidateIdx = null;
+            return;
+        }
+
+        if (continuing) {
+            this.windowCandidateIdx--;
+        } else {
+            this.windowCandidateIdx = this.prevUsedIdx();
+        }
+
+        // History may change between presses.
+        this.windowCandidateIdx = Math.min(this.windowCandidateIdx, this.desktopHistory.length - 1);
+        if (this.windowCandidateIdx < 0) {
+            this.windowCandidateIdx = 0;
+        }
+        const targetID = this.walkHistory[this.windowCandidateIdx];
+        this.moveWindowToDesktop(window, targetID, false);
+        this.movedWindow = { window, targetID };
+    }
+
+    /**
+     * Moves active window to the previously used desktop and switches to it.
+     * @param {boolean} isContinuing - True if this is a continuation of previous navigation.
+     * @private
+     */
+    moveWindowToPrevUsedDesktopAndFollow(isContinuing) {
+        const window = workspace.activeWindow;
+        if (!window) {
+            debug('No active window to move');
+            return;
+        }
+
+        this.switchToPrevUsedDesktop(isContinuing);
+        if (this.candidateIdx === null) {
+            return;
+        }
+        this.showContinuing();
+        const targetID = this.walkHistory[this.candidateIdx];
+        this.moveWindowToDesktop(window, targetID, false);
+        workspace.activeWindow = window;
+        // Activations are not recorded while walking, so the window isn't restored
+        // away from when the walk ends.
+        this.desktopWindow[targetID] = window;
+    }
+
+    /**
+     * Builds window menu listing desktops in most recently used order.
+     * @param {KWin.Window} window - Window to move when a desktop is chosen.
+     * @returns {Object|undefined} Submenu, undefined if history is empty.
+     * @private
+     */
+    recentDesktopsMenu(window) {
+        if (this.desktopHistory.length === 0) {
+            return undefined;
         }
+
+        const onlyID = window.desktops.length === 1 ? window.desktops[0].id : null;
+        return {
+            text: 'Send to recent desktop',
+            items: this.desktopHistory
+                .slice()
+                .reverse()
+                .map(id => ({
+                    text: this.map.name(id),
+                    checkable: true,
+                    checked: id === onlyID,
+                    triggered: () => {
+                        debug(`Menu: Send window to ${this.map.desc(id)}`);
+                        this.moveWindowToDesktop(window, id, false);
+                    },
+                })),
+        };
+    }
+
+    /**
+     * Moves window to the specified desktop by ID.
+     * @param {KWin.Window} window
+     * @param {string} id - Target desktop ID.
+     * @param {boolean} follow - Switch to the desktop together with the window.
+     * @private
+     */
+    moveWindowToDesktop(window, id, follow) {
+        const targetDesktop = workspace.desktops.find(desktop => desktop.id === id);
+        if (!targetDesktop) {
+            log('warning', `Failed to move window to desktop ${this.map.desc(id)}: not found`);
+            return;
+        }
+
+        debug(`Moving window "${window.caption}" to desktop ${this.map.desc(id)}`);
+        this.movingWindow = true;
+        try {
+            window.desktops = [targetDesktop];
+        } finally {
+            this.movingWindow = false;
+        }
+        if (follow) {
+            this.navigateToDesktop(id);
+            workspace.activeWindow = window;
+        }
+    }
+
+    /**
+     * Writes recent events and the current navigation state to the log.
+     * Logged regardless of the log level.
+     * @private
+     */
+    dumpState() {
+        const state = {
+            version: SCRIPT_VERSION,
+            activity: this.activity,
+            currentDesktop: workspace.currentDesktop.id,
+            desktops: workspace.desktops.map(desktop => ({
+                id: desktop.id,
+                number: this.map.desktopNum[desktop.id],
+                name: this.map.desktopName[desktop.id],
+            })),
+            desktopHistory: this.desktopHistory,
+            walkHistory: this.walkHistory,
+            candidateIdx: this.candidateIdx,
+            windowCandidateIdx: this.windowCandidateIdx,
+            gridTargetID: this.gridTargetID,
+            marks: this.marks,
+            excludedDesktops: this.excludedDesktops,
+            histories: this.histories,
+        };
+        const events = log.events.format();
+        console.log(`LastUsedDesktops: Last ${events.length} events:\n${events.join('\n')}`);
+        console.log(`LastUsedDesktops: State: ${JSON.stringify(state)}`);
+    }
+
+    /**
+     * Writes time spent on each desktop and number of visits to the log,
+     * as a readable summary and as JSON.
+     * Logged regardless of the debug output setting.
+     * @private
+     */
+    logUsageStats() {
+        const usage = this.usage.report(id =>
+            id in this.map.desktopNum ? this.map.name(id) : undefined,
+        );
+        const since = new Date(this.usage.since).toISOString();
+        const lines = usage.map(entry => {
+            const visits = entry.visits === 1 ? '1 visit' : `${entry.visits} visits`;
+            return `  ${entry.name}: ${formatDuration(entry.time)} (${visits})`;
+        });
+        console.log(`LastUsedDesktops: Desktop usage since ${since}:\n${lines.join('\n')}`);
+        console.log(`LastUsedDesktops: ${JSON.stringify({ since, desktops: usage })}`);
     }
 
     /**
@@ -279,17 +1968,95 @@ class LastUsedDesktops {
      */
     finalizeContinuing() {
         if (this.candidateIdx !== null) {
-            this.addToHistory(this.desktopHistory[this.candidateIdx]);
+            const id = this.walkHistory[this.candidateIdx];
+            this.addToHistory(id);
             this.candidateIdx = null;
+            this.osd.hide(this.map.name(id));
+            // Walk is a deliberate move, it's never collapsed.
+            this.dwellSnapshot = null;
+        }
+    }
+
+    /**
+     * Prepares history to record a desktop change.
+     * If the previous desktop was left sooner than the minimum dwell time, history is
+     * restored to the state before it was entered, so a quick series of desktop changes
+     * is recorded as a single move.
+     * @private
+     */
+    collapseShortDwell() {
+        const now = Date.now();
+        const dwell = now - this.dwellStart;
+        this.dwellStart = now;
+
+        if (this.minDwellTime <= 0) {
+            this.dwellSnapshot = null;
+        } else if (this.dwellSnapshot && dwell < this.minDwellTime) {
+            debug(`Previous desktop left after ${dwell}ms; not recording it in history`);
+            this.desktopHistory = this.dwellSnapshot.slice();
+        } else {
+            this.dwellSnapshot = this.desktopHistory.slice();
         }
     }
 
+    /**
+     * Shows continuing navigation on screen.
+     * @private
+     */
+    showContinuing() {
+        if (this.candidateIdx !== null) {
+            const names = this.walkHistory.map(id => this.map.name(id));
+            this.osd.show(names, this.candidateIdx);
+        }
+    }
+
+    /**
+     * Returns index of the previously used desktop in history.
+     * Current desktop is the last one in history, unless it's excluded.
+     * @returns {number} Index, negative if there is no previously used desktop.
+     * @private
+     */
+    prevUsedIdx() {
+        const offset = this.isExcluded(workspace.currentDesktop.id) ? 1 : 2;
+        return this.desktopHistory.length - offset;
+    }
+
+    /**
+     * Checks whether a window is shown only on the desktop.
+     * @param {KWin.Window} window
+     * @param {string} id - Desktop ID (UUID).
+     * @returns {boolean}
+     * @private
+     */
+    isOnlyOn(window, id) {
+        return window.desktops.length === 1 && window.desktops[0].id === id;
+    }
+
+    /**
+     * Checks whether a desktop is excluded from history by its name or ID.
+     * @param {string} id - Desktop ID (UUID).
+     * @returns {boolean}
+     * @private
+     */
+    isExcluded(id) {
+        return (
+            this.excludedDesktops.includes(id) ||
+            this.excludedDesktops.includes(this.map.desktopName[id])
+        );
+    }
+
     /**
      * Adds a desktop to history, maintaining order and removing duplicates.
+     * Excluded desktops are skipped.
      * @param {string} id - UUID of the desktop to add.
      * @private
      */
     addToHistory(id) {
+        if (this.isExcluded(id)) {
+            debug(`Skipping adding ${this.map.desc(id)} to history (excluded)`);
+            return;
+        }
+
         // Remove desktop if it already exists in history.
         const existingIndex = this.desktopHistory.indexOf(id);
         if (existingIndex !== -1) {
@@ -297,7 +2064,28 @@ class LastUsedDesktops {
         }
 
         this.desktopHistory.push(id);
+        this.frecency.visit(id);
         debug(`Desktop ${this.map.desc(id)} added to history (size=${this.desktopHistory.length})`);
+        this.saveHistory();
+    }
+
+    /**
+     * Activates the last active window of a desktop, if it's still there.
+     * @param {string} id - Desktop ID.
+     * @private
+     */
+    restoreWindow(id) {
+        const window = this.desktopWindow[id];
+        if (!window || window === workspace.activeWindow) {
+            return;
+        }
+        if (window.minimized || !(window.onAllDesktops || window.desktops.some(d => d.id === id))) {
+            debug(`Window "${window.caption}" is no longer shown on ${this.map.desc(id)}`);
+            return;
+        }
+
+        debug(`Restoring active window "${window.caption}" on ${this.map.desc(id)}`);
+        workspace.activeWindow = window;
     }
 
     /**
@@ -309,9 +2097,15 @@ class LastUsedDesktops {
         const targetDesktop = workspace.desktops.find(desktop => desktop.id === id);
         if (targetDesktop) {
             debug(`Navigating to desktop ${this.map.desc(id)}`);
-            workspace.currentDesktop = targetDesktop;
+            this.navigating = true;
+            try {
+                workspace.currentDesktop = targetDesktop;
+                this.restoreWindow(id);
+            } finally {
+                this.navigating = false;
+            }
         } else {
-            debug(`Failed to navigate to desktop ${this.map.desc(id)}: not found`);
+            log('warning', `Failed to navigate to desktop ${this.map.desc(id)}: not found`);
         }
     }
 }
@@ -322,5 +2116,6 @@ const script = new LastUsedDesktops();
 if (typeof globalThis !== 'undefined') {
     // @ts-ignore - Node.js/Jest export for tests
     globalThis.debug = debug;
+    globalThis.log = log;
     globalThis.lastUsedDesktops = script;
 }
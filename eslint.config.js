@@ -6,8 +6,15 @@ export default [
             sourceType: 'script',
             globals: {
                 workspace: 'readonly',
+                options: 'readonly',
                 registerShortcut: 'readonly',
+                registerScreenEdge: 'readonly',
+                registerUserActionsMenu: 'readonly',
+                unregisterScreenEdge: 'readonly',
+                KWin: 'readonly',
                 readConfig: 'readonly',
+                callDBus: 'readonly',
+                QTimer: 'readonly',
                 console: 'readonly',
                 Date: 'readonly',
             },
@@ -1,5 +1,17 @@
 declare global {
+    /** Qt timer provided to KWin scripts. */
+    class QTimer {
+        interval: number;
+        singleShot: boolean;
+        readonly active: boolean;
+        timeout: Signal<() => void>;
+        start(): void;
+        stop(): void;
+    }
+
     var lastUsedDesktops: {
+        activity: string;
+        histories: { [activity: string]: string[] };
         desktopHistory: string[];
         candidateIdx: number | null;
         // Add more fields if needed for LSP/type safety
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tests for per-activity desktop history
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+];
+
+const workActivity = 'aaaaaaaa-0000-0000-0000-000000000001';
+const personalActivity = 'aaaaaaaa-0000-0000-0000-000000000002';
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: workActivity,
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Per-Activity History', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let desktopChangeHandler;
+    let activityChangeHandler;
+    let activityAddedHandler;
+    let activityRemovedHandler;
+    let historyNavigationHandler;
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = { id: testUUIDs[idx] };
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    function switchActivity(id) {
+        mockWorkspace.currentActivity = id;
+        activityChangeHandler(id);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        script = loadScript();
+
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+        activityChangeHandler = mockWorkspace.currentActivityChanged.connect.mock.calls[0][0];
+        activityAddedHandler = mockWorkspace.activityAdded.connect.mock.calls[0][0];
+        activityRemovedHandler = mockWorkspace.activityRemoved.connect.mock.calls[0][0];
+        historyNavigationHandler = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Last Used Virtual Desktops',
+        )[3];
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should keep history of the current activity', () => {
+        expect(script.activity).toBe(workActivity);
+        expect(script.histories[workActivity]).toEqual([testUUIDs[0]]);
+        expect(script.desktopHistory).toBe(script.histories[workActivity]);
+    });
+
+    test('should start new activity history with the current desktop', () => {
+        switchDesktop(1); // Work: 1 → 2
+
+        switchActivity(personalActivity);
+
+        expect(script.desktopHistory).toEqual([testUUIDs[1]]);
+        expect(script.histories[workActivity]).toEqual([testUUIDs[0], testUUIDs[1]]);
+    });
+
+    test('should not leak history between activities', () => {
+        switchDesktop(1); // Work: 1 → 2
+        switchActivity(personalActivity);
+        switchDesktop(2); // Personal: 2 → 3
+        switchDesktop(3); // Personal: 3 → 4
+
+        switchActivity(workActivity);
+
+        // Desktop 4 is current in Work now, Desktop 3 was never used in Work.
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1], testUUIDs[3]]);
+        expect(script.histories[personalActivity]).toEqual([
+            testUUIDs[1],
+            testUUIDs[2],
+            testUUIDs[3],
+        ]);
+    });
+
+    test('should walk only through history of the current activity', () => {
+        switchDesktop(1); // Work: 1 → 2
+        switchActivity(personalActivity);
+        switchDesktop(2); // Personal: 2 → 3
+        switchDesktop(3); // Personal: 3 → 4
+        switchActivity(workActivity);
+
+        // Work history: [1, 2, 4]
+        Date.now.mockReturnValue(2000);
+        historyNavigationHandler();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]); // Desktop 2
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        Date.now.mockReturnValue(2200);
+        historyNavigationHandler();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]); // Desktop 1, not Desktop 3
+    });
+
+    test('should toggle back using history of the current activity', () => {
+        switchDesktop(1); // Work: 1 → 2
+        switchActivity(personalActivity);
+        switchDesktop(2); // Personal: 2 → 3
+        switchActivity(workActivity);
+
+        // Work history: [1, 2, 3], toggle on Desktop 3 should return to Desktop 2.
+        const toggleHandler3 = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Go to Desktop 3',
+        )[3];
+        toggleHandler3();
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]); // Desktop 2
+    });
+
+    test('should finalize walk before switching activity', () => {
+        switchDesktop(1);
+        switchDesktop(2); // Work: [1, 2, 3]
+
+        Date.now.mockReturnValue(3000);
+        historyNavigationHandler(); // 3 → 2
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        expect(script.candidateIdx).not.toBe(null);
+
+        switchActivity(personalActivity);
+
+        expect(script.candidateIdx).toBe(null);
+        expect(script.histories[workActivity]).toEqual([testUUIDs[0], testUUIDs[2], testUUIDs[1]]);
+    });
+
+    test('should create empty history for added activity', () => {
+        activityAddedHandler(personalActivity);
+
+        expect(script.histories[personalActivity]).toEqual([]);
+        expect(script.activity).toBe(workActivity);
+    });
+
+    test('should drop history of removed activity', () => {
+        switchActivity(personalActivity);
+        switchActivity(workActivity);
+
+        activityRemovedHandler(personalActivity);
+
+        expect(script.histories[personalActivity]).toBeUndefined();
+        expect(script.desktopHistory).toEqual([testUUIDs[0]]);
+    });
+
+    test('should keep history of the current activity when it is removed', () => {
+        activityRemovedHandler(workActivity);
+
+        expect(script.desktopHistory).toEqual([testUUIDs[0]]);
+    });
+});
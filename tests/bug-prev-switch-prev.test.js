@@ -18,12 +18,22 @@ function createMockWorkspace(startDesktop = 0) {
         id: uuid,
         x11DesktopNumber: index + 1,
         name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
     }));
     return {
         currentDesktop: { id: testUUIDs[startDesktop] },
         desktops,
+        currentActivity: 'activity-1',
         currentDesktopChanged: { connect: jest.fn() },
         desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
     };
 }
 
@@ -51,7 +61,11 @@ describe('Bug demonstration for history navigation', () => {
         mockRegisterShortcut = jest.fn();
         globalThis.workspace = mockWorkspace;
         globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
         globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
         globalThis.console = { log: jest.fn(), error: jest.fn() };
         jest.spyOn(Date, 'now').mockReturnValue(1000);
         loadScript();
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Tests for live configuration reload
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: 'activity-1',
+        activities: ['activity-1'],
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Live Configuration Reload', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+    let configChangedHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = { id: testUUIDs[idx] };
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = {};
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        script = loadScript();
+
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+        configChangedHandler = globalThis.options.configChanged.connect.mock.calls[0][0];
+
+        // Build history: 1 → 2 → 3
+        switchDesktop(1);
+        switchDesktop(2);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should apply continuation delay', () => {
+        config.continuationDelay = 1000;
+        configChangedHandler();
+
+        expect(script.continuation.delay).toBe(1000);
+        expect(script.windowContinuation.delay).toBe(1000);
+
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')(); // 3 → 2
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        Date.now.mockReturnValue(2800);
+        shortcut('Last Used Virtual Desktops')(); // 2 → 1
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should apply debug output setting', () => {
+        config.debugEnabled = true;
+        configChangedHandler();
+
+        expect(globalThis.debug.enabled).toBe(true);
+
+        config.debugEnabled = false;
+        configChangedHandler();
+
+        expect(globalThis.debug.enabled).toBe(false);
+    });
+
+    test('should apply on-screen display setting', () => {
+        config.osdEnabled = false;
+        configChangedHandler();
+
+        expect(script.osd.enabled).toBe(false);
+    });
+
+    test('should apply follow moved window setting', () => {
+        config.moveWindowFollow = true;
+        configChangedHandler();
+
+        expect(script.moveWindowFollow).toBe(true);
+    });
+
+    test('should keep history', () => {
+        config.continuationDelay = 1000;
+        configChangedHandler();
+
+        expect(script.desktopHistory).toEqual(testUUIDs);
+    });
+
+    test('should register more direct navigation shortcuts', () => {
+        mockRegisterShortcut.mockClear();
+
+        config.toggleShortcutCount = 22;
+        configChangedHandler();
+        configChangedHandler();
+
+        expect(mockRegisterShortcut.mock.calls.map(call => call[0])).toEqual([
+            'Go to Desktop 21',
+            'Move Window to Desktop 21',
+            'Go to Desktop 22',
+            'Move Window to Desktop 22',
+        ]);
+    });
+
+    test('should load saved history when persistence is enabled', () => {
+        const values = {
+            desktopHistory: JSON.stringify({
+                activities: { 'activity-1': [testUUIDs[1], testUUIDs[0]] },
+            }),
+        };
+        globalThis.callDBus.mockImplementation((service, _path, _interface, method, key, arg) => {
+            if (method === 'Get') {
+                arg(values[key]);
+            } else if (method === 'Set') {
+                values[key] = arg;
+            }
+        });
+
+        config.persistHistory = true;
+        configChangedHandler();
+
+        expect(script.desktopHistory).toEqual(testUUIDs);
+
+        switchDesktop(0);
+        expect(JSON.parse(values.desktopHistory).activities['activity-1']).toEqual([
+            testUUIDs[1],
+            testUUIDs[2],
+            testUUIDs[0],
+        ]);
+
+        // Unchanged settings should not reload history
+        globalThis.callDBus.mockClear();
+        configChangedHandler();
+        expect(globalThis.callDBus).not.toHaveBeenCalled();
+
+        config.persistHistory = false;
+        configChangedHandler();
+        expect(script.store.storage).toBe(null);
+    });
+});
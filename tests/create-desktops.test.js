@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Tests for creating missing desktops on direct navigation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+];
+
+function createMockDesktop(id, index) {
+    return {
+        id,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    };
+}
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => createMockDesktop(uuid, index));
+
+    const workspace = {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+        // KWin emits desktopsChanged while the desktop is being created.
+        createDesktop: jest.fn(position => {
+            workspace.desktops.push(createMockDesktop(`created-uuid-${position + 1}`, position));
+            workspace.desktopsChanged.connect.mock.calls[0][0]();
+        }),
+    };
+    return workspace;
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Create Missing Desktops', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function pressAndSettle(title) {
+        mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3]();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = { createMissingDesktops: true };
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    function setup() {
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    test('should create desktops up to N and switch to desktop N', () => {
+        setup();
+
+        pressAndSettle('Go to Desktop 5');
+
+        expect(mockWorkspace.createDesktop.mock.calls).toEqual([
+            [2, ''],
+            [3, ''],
+            [4, ''],
+        ]);
+        expect(mockWorkspace.currentDesktop.id).toBe('created-uuid-5');
+        expect(script.map.id(5)).toBe('created-uuid-5');
+        expect(script.map.id(3)).toBe('created-uuid-3');
+        expect(script.desktopHistory).toEqual([testUUIDs[0], 'created-uuid-5']);
+    });
+
+    test('should toggle back from created desktop', () => {
+        setup();
+        pressAndSettle('Go to Desktop 3');
+
+        pressAndSettle('Go to Desktop 3');
+
+        expect(mockWorkspace.createDesktop).toHaveBeenCalledTimes(1);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+        expect(script.desktopHistory).toEqual(['created-uuid-3', testUUIDs[0]]);
+    });
+
+    test('should finalize walk before creating desktops', () => {
+        setup();
+        pressAndSettle('Go to Desktop 2'); // History: [1, 2]
+
+        Date.now.mockReturnValue(2000);
+        mockRegisterShortcut.mock.calls.find(call => call[0] === 'Last Used Virtual Desktops')[3]();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        pressAndSettle('Go to Desktop 3');
+
+        expect(script.candidateIdx).toBe(null);
+        expect(script.desktopHistory).toEqual([testUUIDs[1], testUUIDs[0], 'created-uuid-3']);
+    });
+
+    test('should stop when desktop cannot be created', () => {
+        setup();
+        mockWorkspace.createDesktop.mockImplementation(() => {});
+
+        pressAndSettle('Go to Desktop 4');
+
+        expect(mockWorkspace.createDesktop).toHaveBeenCalledTimes(1);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should not create desktops when disabled', () => {
+        config.createMissingDesktops = false;
+        setup();
+
+        pressAndSettle('Go to Desktop 4');
+
+        expect(mockWorkspace.createDesktop).not.toHaveBeenCalled();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Tests for desktop marks
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Desktop Marks', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function switchDesktop(idx) {
+        const prevDesktop = mockWorkspace.currentDesktop;
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(prevDesktop);
+    }
+
+    // Presses a shortcut and lets KWin report the desktop change.
+    function press(title) {
+        const before = mockWorkspace.currentDesktop;
+        shortcut(title)();
+        if (mockWorkspace.currentDesktop !== before) {
+            desktopChangeHandler(before);
+        }
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        script = loadScript();
+
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should register set and jump shortcuts for 9 marks', () => {
+        for (let slot = 1; slot <= 9; slot++) {
+            expect(mockRegisterShortcut).toHaveBeenCalledWith(
+                `Set Mark ${slot}`,
+                `Set mark ${slot} to the current virtual desktop`,
+                '',
+                expect.any(Function),
+            );
+            expect(mockRegisterShortcut).toHaveBeenCalledWith(
+                `Jump to Mark ${slot}`,
+                `Navigate to virtual desktop of mark ${slot} with toggle`,
+                '',
+                expect.any(Function),
+            );
+        }
+    });
+
+    test('should jump to marked desktop', () => {
+        switchDesktop(2);
+        press('Set Mark 1');
+        switchDesktop(0);
+
+        press('Jump to Mark 1');
+
+        expect(script.marks[1]).toBe(testUUIDs[2]);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+    });
+
+    test('should toggle back when already on marked desktop', () => {
+        press('Set Mark 1');
+        switchDesktop(1);
+        press('Jump to Mark 1');
+
+        press('Jump to Mark 1');
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1]]);
+    });
+
+    test('should keep mark on its desktop when desktops are reordered', () => {
+        switchDesktop(1);
+        press('Set Mark 5');
+        switchDesktop(0);
+
+        // Desktop 2 is moved to the end of the pager.
+        const [desktop] = mockWorkspace.desktops.splice(1, 1);
+        mockWorkspace.desktops.push(desktop);
+        mockWorkspace.desktops.forEach((d, i) => (d.x11DesktopNumber = i + 1));
+        mockWorkspace.desktopLayoutChanged.connect.mock.calls[0][0]();
+
+        press('Jump to Mark 5');
+
+        expect(script.map.id(3)).toBe(testUUIDs[1]);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+    });
+
+    test('should replace mark', () => {
+        press('Set Mark 1');
+        switchDesktop(1);
+        press('Set Mark 1');
+        switchDesktop(2);
+
+        press('Jump to Mark 1');
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+    });
+
+    test('should do nothing for mark which is not set', () => {
+        press('Jump to Mark 2');
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should clear mark of removed desktop', () => {
+        switchDesktop(2);
+        press('Set Mark 3');
+        switchDesktop(0);
+
+        mockWorkspace.desktops.splice(2, 1);
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+        press('Jump to Mark 3');
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+        expect(script.marks[3]).toBeUndefined();
+    });
+});
@@ -19,13 +19,23 @@ function createMockWorkspace(startDesktop = 0) {
         id: uuid,
         x11DesktopNumber: index + 1,
         name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
     }));
 
     return {
         currentDesktop: { id: testUUIDs[startDesktop] },
         desktops,
+        currentActivity: 'activity-1',
         currentDesktopChanged: { connect: jest.fn() },
         desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
     };
 }
 
@@ -57,7 +67,11 @@ describe('Direct Desktop Navigation', () => {
 
         globalThis.workspace = mockWorkspace;
         globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
         globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
         globalThis.console = { log: jest.fn(), error: jest.fn() };
 
         // Mock Date.now for testing
@@ -113,6 +127,72 @@ describe('Direct Desktop Navigation', () => {
         });
     });
 
+    describe('Dynamic Shortcut Registration', () => {
+        function toggleShortcutTitles() {
+            return mockRegisterShortcut.mock.calls
+                .map(call => call[0])
+                .filter(title => /^Go to Desktop \d+$/.test(title));
+        }
+
+        test('should register shortcuts for configured number of desktops', () => {
+            mockRegisterShortcut.mockClear();
+            globalThis.readConfig.mockImplementation((key, defaultValue) =>
+                key === 'toggleShortcutCount' ? 8 : defaultValue,
+            );
+
+            script = loadScript();
+
+            expect(toggleShortcutTitles()).toHaveLength(8);
+            expect(script.toggleShortcutCount).toBe(8);
+        });
+
+        test('should register shortcuts for all existing desktops', () => {
+            mockRegisterShortcut.mockClear();
+            globalThis.readConfig.mockImplementation((key, defaultValue) =>
+                key === 'toggleShortcutCount' ? 3 : defaultValue,
+            );
+
+            script = loadScript();
+
+            expect(toggleShortcutTitles()).toHaveLength(5);
+        });
+
+        test('should register more shortcuts when desktops are added', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+            mockRegisterShortcut.mockClear();
+
+            for (let i = 6; i <= 22; i++) {
+                mockWorkspace.desktops.push({
+                    id: `added-uuid-${i}`,
+                    x11DesktopNumber: i,
+                    name: `Desktop ${i}`,
+                    nameChanged: { connect: jest.fn() },
+                    x11DesktopNumberChanged: { connect: jest.fn() },
+                });
+            }
+            desktopsChangedHandler();
+
+            expect(toggleShortcutTitles()).toEqual(['Go to Desktop 21', 'Go to Desktop 22']);
+            expect(script.toggleShortcutCount).toBe(22);
+
+            // New shortcut should navigate to new desktop
+            mockRegisterShortcut.mock.calls.find(call => call[0] === 'Go to Desktop 22')[3]();
+            expect(mockWorkspace.currentDesktop.id).toBe('added-uuid-22');
+        });
+
+        test('should not register shortcuts again', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+            mockRegisterShortcut.mockClear();
+
+            mockWorkspace.desktops.pop();
+            desktopsChangedHandler();
+            desktopsChangedHandler();
+
+            expect(mockRegisterShortcut).not.toHaveBeenCalled();
+            expect(script.toggleShortcutCount).toBe(20);
+        });
+    });
+
     describe('Toggle Functionality', () => {
         test('should toggle between two desktops', () => {
             // Start on Desktop 1, build some history
@@ -225,8 +305,20 @@ describe('Direct Desktop Navigation', () => {
 
             // Change desktop configuration
             mockWorkspace.desktops = [
-                { id: 'new-uuid-1', x11DesktopNumber: 1, name: 'New Desktop 1' },
-                { id: 'new-uuid-2', x11DesktopNumber: 2, name: 'New Desktop 2' },
+                {
+                    id: 'new-uuid-1',
+                    x11DesktopNumber: 1,
+                    name: 'New Desktop 1',
+                    nameChanged: { connect: jest.fn() },
+                    x11DesktopNumberChanged: { connect: jest.fn() },
+                },
+                {
+                    id: 'new-uuid-2',
+                    x11DesktopNumber: 2,
+                    name: 'New Desktop 2',
+                    nameChanged: { connect: jest.fn() },
+                    x11DesktopNumberChanged: { connect: jest.fn() },
+                },
             ];
             mockWorkspace.currentDesktop = { id: 'new-uuid-1' };
 
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests for minimum dwell time before a desktop is recorded in history
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+    '55555555-5555-5555-5555-555555555555', // Desktop 5
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Minimum Dwell Time', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function switchDesktop(idx, time) {
+        Date.now.mockReturnValue(time);
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = { minDwellTime: 1000 };
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+
+        // Build history: 1 → 2 → 3
+        switchDesktop(1, 10000);
+        switchDesktop(2, 20000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should collapse quick series of changes into one move', () => {
+        switchDesktop(3, 30000);
+        switchDesktop(4, 30200);
+        switchDesktop(0, 30400);
+
+        expect(script.desktopHistory).toEqual([testUUIDs[1], testUUIDs[2], testUUIDs[0]]);
+    });
+
+    test('should keep history unchanged after passing through and coming back', () => {
+        switchDesktop(3, 30000);
+        switchDesktop(2, 30200);
+
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1], testUUIDs[2]]);
+    });
+
+    test('should record desktop left after the minimum dwell time', () => {
+        switchDesktop(3, 30000);
+        switchDesktop(4, 30200);
+        switchDesktop(0, 31200);
+
+        expect(script.desktopHistory).toEqual([
+            testUUIDs[1],
+            testUUIDs[2],
+            testUUIDs[4],
+            testUUIDs[0],
+        ]);
+    });
+
+    test('should go back to the starting desktop after collapsed moves', () => {
+        switchDesktop(3, 30000);
+        switchDesktop(4, 30200);
+
+        Date.now.mockReturnValue(40000);
+        shortcut('Last Used Virtual Desktops')();
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+    });
+
+    test('should not collapse walk through history', () => {
+        Date.now.mockReturnValue(30000);
+        shortcut('Last Used Virtual Desktops')(); // 3 → 2
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        Date.now.mockReturnValue(30200);
+        shortcut('Last Used Virtual Desktops')(); // 2 → 1
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        // Leave walk result quickly by other means
+        switchDesktop(4, 30300);
+
+        expect(script.desktopHistory).toEqual([
+            testUUIDs[1],
+            testUUIDs[2],
+            testUUIDs[0],
+            testUUIDs[4],
+        ]);
+    });
+
+    test('should record every desktop when disabled', () => {
+        config.minDwellTime = 0;
+        globalThis.options.configChanged.connect.mock.calls[0][0]();
+
+        switchDesktop(3, 30000);
+        switchDesktop(4, 30010);
+
+        expect(script.desktopHistory).toEqual(testUUIDs);
+    });
+});
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Tests for dynamic desktops mode
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+];
+
+function createMockDesktop(id) {
+    return {
+        id,
+        name: '',
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    };
+}
+
+function createMockWorkspace(startDesktop = 0) {
+    const workspace = {
+        desktops: testUUIDs.map(createMockDesktop),
+        stackingOrder: [],
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+        // KWin emits desktopsChanged while the desktop is being created or removed.
+        createDesktop: jest.fn((position, name) => {
+            const created = createMockDesktop(
+                `created-uuid-${workspace.createDesktop.mock.calls.length}`,
+            );
+            created.name = name;
+            workspace.desktops.splice(position, 0, created);
+            desktopsChanged();
+        }),
+        removeDesktop: jest.fn(desktop => {
+            workspace.desktops.splice(workspace.desktops.indexOf(desktop), 1);
+            desktopsChanged();
+        }),
+    };
+    workspace.currentDesktop = workspace.desktops[startDesktop];
+
+    function desktopsChanged() {
+        workspace.desktops.forEach((d, i) => (d.x11DesktopNumber = i + 1));
+        workspace.desktopsChanged.connect.mock.calls[0][0]();
+    }
+    workspace.desktops.forEach((d, i) => (d.x11DesktopNumber = i + 1));
+    return workspace;
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Dynamic Desktops', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function desktopIDs() {
+        return mockWorkspace.desktops.map(desktop => desktop.id);
+    }
+
+    function openWindow(caption, desktopIdx, normalWindow = true) {
+        const window = {
+            caption,
+            normalWindow,
+            desktops: [mockWorkspace.desktops[desktopIdx]],
+            desktopsChanged: { connect: jest.fn() },
+        };
+        mockWorkspace.stackingOrder.push(window);
+        if (script) {
+            mockWorkspace.windowAdded.connect.mock.calls[0][0](window);
+        }
+        return window;
+    }
+
+    function closeWindow(window) {
+        mockWorkspace.windowRemoved.connect.mock.calls[0][0](window);
+        mockWorkspace.stackingOrder.splice(mockWorkspace.stackingOrder.indexOf(window), 1);
+    }
+
+    function switchDesktop(id) {
+        mockWorkspace.currentDesktop = mockWorkspace.desktops.find(desktop => desktop.id === id);
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    function setup() {
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = { dynamicDesktops: true, dynamicRecentCount: 2 };
+        script = null;
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        // Windows on Desktop 1, 2 and 3, Desktop 4 is empty
+        openWindow('Editor', 0);
+        openWindow('Browser', 1);
+        openWindow('Terminal', 2);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should do nothing when disabled', () => {
+        config.dynamicDesktops = false;
+        mockWorkspace.stackingOrder[0].desktops = [mockWorkspace.desktops[3]];
+        setup();
+
+        openWindow('Player', 3);
+        switchDesktop(testUUIDs[1]);
+
+        expect(mockWorkspace.createDesktop).not.toHaveBeenCalled();
+        expect(mockWorkspace.removeDesktop).not.toHaveBeenCalled();
+    });
+
+    test('should keep desktops if there is one empty desktop at the end', () => {
+        setup();
+
+        expect(mockWorkspace.createDesktop).not.toHaveBeenCalled();
+        expect(mockWorkspace.removeDesktop).not.toHaveBeenCalled();
+    });
+
+    test('should add empty desktop when window appears on the last one', () => {
+        setup();
+
+        openWindow('Player', 3);
+
+        expect(mockWorkspace.createDesktop).toHaveBeenCalledWith(4, '');
+        expect(desktopIDs()).toEqual([...testUUIDs, 'created-uuid-1']);
+        expect(script.map.id(5)).toBe('created-uuid-1');
+    });
+
+    test('should add empty desktop when window is moved to the last one', () => {
+        setup();
+        const window = mockWorkspace.stackingOrder[0];
+
+        window.desktops = [mockWorkspace.desktops[3]];
+        window.desktopsChanged.connect.mock.calls[0][0]();
+
+        expect(desktopIDs()).toEqual([...testUUIDs, 'created-uuid-1']);
+    });
+
+    test('should not count special windows and windows on all desktops', () => {
+        setup();
+
+        openWindow('Panel', 3, false);
+        const sticky = openWindow('Notes', 0);
+        sticky.desktops = [];
+        openWindow('Other', 0);
+
+        expect(mockWorkspace.createDesktop).not.toHaveBeenCalled();
+    });
+
+    test('should remove empty desktop once it drops out of recent ones', () => {
+        setup();
+        switchDesktop(testUUIDs[1]);
+        switchDesktop(testUUIDs[2]); // History: [1, 2, 3]
+
+        closeWindow(mockWorkspace.stackingOrder[1]); // Desktop 2 is empty but recent
+        expect(mockWorkspace.removeDesktop).not.toHaveBeenCalled();
+
+        switchDesktop(testUUIDs[0]); // History: [2, 3, 1]
+
+        expect(mockWorkspace.removeDesktop).toHaveBeenCalledTimes(1);
+        expect(desktopIDs()).toEqual([testUUIDs[0], testUUIDs[2], testUUIDs[3]]);
+        expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[0]]);
+        expect(script.map.id(2)).toBe(testUUIDs[2]);
+    });
+
+    test('should not remove current and last desktops', () => {
+        setup();
+        switchDesktop(testUUIDs[3]);
+        mockWorkspace.stackingOrder.slice().forEach(closeWindow);
+
+        expect(desktopIDs()).toEqual([testUUIDs[0], testUUIDs[3]]);
+    });
+
+    test('should keep history of other activities', () => {
+        setup();
+        script.histories['activity-2'] = [testUUIDs[1], testUUIDs[2]];
+        mockWorkspace.stackingOrder[1].desktops = [mockWorkspace.desktops[2]];
+
+        mockWorkspace.stackingOrder[1].desktopsChanged.connect.mock.calls[0][0]();
+
+        expect(desktopIDs()).toEqual([testUUIDs[0], testUUIDs[2], testUUIDs[3]]);
+        expect(script.histories['activity-2']).toEqual([testUUIDs[2]]);
+        expect(script.desktopHistory).toEqual([testUUIDs[0]]);
+    });
+
+    test('should keep desktops created by direct navigation while on the target', () => {
+        config.createMissingDesktops = true;
+        setup();
+        const goTo6 = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Go to Desktop 6',
+        )[3];
+
+        goTo6();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        expect(mockWorkspace.createDesktop).toHaveBeenCalledTimes(2);
+        expect(mockWorkspace.removeDesktop).not.toHaveBeenCalled();
+        expect(mockWorkspace.currentDesktop.x11DesktopNumber).toBe(6);
+
+        switchDesktop(testUUIDs[0]); // Empty desktops are removed once it's left
+
+        expect(desktopIDs()).toEqual([testUUIDs[0], testUUIDs[1], testUUIDs[2], 'created-uuid-2']);
+    });
+
+    test('should not change desktops while walking through history', () => {
+        setup();
+        switchDesktop(testUUIDs[1]);
+        switchDesktop(testUUIDs[3]); // History: [1, 2, 4]
+
+        Date.now.mockReturnValue(2000);
+        mockRegisterShortcut.mock.calls.find(call => call[0] === 'Last Used Virtual Desktops')[3]();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        closeWindow(mockWorkspace.stackingOrder[2]); // Desktop 3 is empty and not recent
+
+        expect(mockWorkspace.removeDesktop).not.toHaveBeenCalled();
+
+        globalThis.QTimer.mock.results[0].value.timeout.connect.mock.calls[0][0]();
+
+        expect(desktopIDs()).toEqual([testUUIDs[0], testUUIDs[1], testUUIDs[3]]);
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[3], testUUIDs[1]]);
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Tests for log levels, recent events and state dump
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Event Log', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function switchDesktop(idx) {
+        const prevDesktop = mockWorkspace.currentDesktop;
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(prevDesktop);
+    }
+
+    function messages() {
+        return globalThis.log.events.events.map(event => event.msg);
+    }
+
+    function setup() {
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = {};
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should record events with debug output disabled', () => {
+        setup();
+        switchDesktop(1);
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')();
+
+        expect(messages()).toEqual(
+            expect.arrayContaining([
+                'Signal: Current desktop changed from Desktop 1 (1) to Desktop 2 (2)',
+                'Shortcut: Previous used desktop (continuing: false)',
+                'Navigating to desktop Desktop 1 (1)',
+            ]),
+        );
+        expect(globalThis.log.events.events[globalThis.log.events.events.length - 1]).toEqual({
+            time: 2000,
+            level: 'debug',
+            msg: 'Navigating to desktop Desktop 1 (1)',
+        });
+        expect(globalThis.console.log).not.toHaveBeenCalled();
+    });
+
+    test('should keep only the last 50 events', () => {
+        setup();
+        for (let i = 0; i < 60; i++) {
+            globalThis.debug(`Event ${i}`);
+        }
+
+        expect(messages()).toHaveLength(50);
+        expect(messages()[0]).toBe('Event 10');
+        expect(messages()[49]).toBe('Event 59');
+    });
+
+    test('should record desktop map rebuild as a single event', () => {
+        setup();
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')();
+
+        for (let i = 4; i <= 60; i++) {
+            mockWorkspace.desktops.push({
+                id: `desktop-${i}`,
+                x11DesktopNumber: i,
+                name: `Desktop ${i}`,
+                nameChanged: { connect: jest.fn() },
+                x11DesktopNumberChanged: { connect: jest.fn() },
+            });
+        }
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+
+        expect(messages()).toContain('Shortcut: Previous used desktop (continuing: false)');
+        expect(messages().filter(msg => msg.startsWith('Desktop map built'))).toEqual([
+            'Desktop map built: Desktop 1 (1), Desktop 2 (2), Desktop 3 (3)',
+            expect.stringMatching(/^Desktop map built: Desktop 1 \(1\), .*, Desktop 60 \(60\)$/),
+        ]);
+    });
+
+    test('should print warnings by default', () => {
+        setup();
+        script.navigateToDesktop('removed-uuid');
+
+        expect(globalThis.console.log).toHaveBeenCalledWith(
+            'LastUsedDesktops [warning]: Failed to navigate to desktop desktop removed-uuid: not found',
+        );
+    });
+
+    test('should print messages of configured level and above', () => {
+        config.logLevel = 1;
+        setup();
+
+        expect(globalThis.console.log).toHaveBeenCalledWith(
+            'LastUsedDesktops [info]: Script started (version: v1.0.0)',
+        );
+        expect(globalThis.console.log).not.toHaveBeenCalledWith(
+            expect.stringMatching(/^LastUsedDesktops: /),
+        );
+
+        config.logLevel = 3;
+        globalThis.options.configChanged.connect.mock.calls[0][0]();
+        globalThis.console.log.mockClear();
+        script.navigateToDesktop('removed-uuid');
+
+        expect(globalThis.console.log).not.toHaveBeenCalled();
+    });
+
+    test('should print all messages with debug output enabled', () => {
+        config.logLevel = 3;
+        config.debugEnabled = true;
+        setup();
+        switchDesktop(1);
+
+        expect(globalThis.console.log).toHaveBeenCalledWith(
+            'LastUsedDesktops: Signal: Current desktop changed from Desktop 1 (1) to Desktop 2 (2)',
+        );
+    });
+
+    test('should dump recent events and state', () => {
+        setup();
+        switchDesktop(1);
+        switchDesktop(2);
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')();
+        desktopChangeHandler(mockWorkspace.desktops[2]);
+
+        globalThis.console.log.mockClear();
+        shortcut('Dump Last Used Desktops State')();
+
+        const [events, state] = globalThis.console.log.mock.calls.map(call => call[0]);
+        expect(events).toMatch(/^LastUsedDesktops: Last \d+ events:\n/);
+        expect(events).toContain(
+            '1970-01-01T00:00:02.000Z debug: Navigating to desktop Desktop 2 (2)',
+        );
+        expect(events.split('\n').pop()).toBe(
+            '1970-01-01T00:00:02.000Z debug: Shortcut: Dump state',
+        );
+
+        expect(JSON.parse(state.replace('LastUsedDesktops: State: ', ''))).toEqual(
+            expect.objectContaining({
+                activity: 'activity-1',
+                currentDesktop: testUUIDs[1],
+                desktops: [
+                    { id: testUUIDs[0], number: 1, name: 'Desktop 1' },
+                    { id: testUUIDs[1], number: 2, name: 'Desktop 2' },
+                    { id: testUUIDs[2], number: 3, name: 'Desktop 3' },
+                ],
+                desktopHistory: testUUIDs,
+                candidateIdx: 1,
+            }),
+        );
+    });
+});
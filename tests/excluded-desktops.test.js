@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Tests for desktops excluded from history
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+];
+
+const desktopNames = ['Mail', 'Code', 'Scratch', 'Music'];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: desktopNames[index],
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        activeWindow: { caption: 'Editor', desktops: [desktops[startDesktop]] },
+        currentActivity: 'activity-1',
+        activities: ['activity-1'],
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Excluded Desktops', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    function setup() {
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = { excludedDesktops: `Scratch, ${testUUIDs[3]}` };
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should not add excluded desktops to history by name or ID', () => {
+        setup();
+
+        switchDesktop(1);
+        switchDesktop(2);
+        switchDesktop(3);
+
+        expect(script.excludedDesktops).toEqual(['Scratch', testUUIDs[3]]);
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1]]);
+    });
+
+    test('should switch from excluded desktop to the most recently used one', () => {
+        setup();
+        switchDesktop(1);
+        switchDesktop(2); // History: [1, 2], current: 3
+
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+
+        Date.now.mockReturnValue(2200);
+        shortcut('Last Used Virtual Desktops')();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should never walk to excluded desktops', () => {
+        setup();
+        switchDesktop(2);
+        switchDesktop(1);
+        switchDesktop(3);
+        switchDesktop(0); // History: [2, 1]
+
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        Date.now.mockReturnValue(2200);
+        shortcut('Last Used Virtual Desktops')();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+    });
+
+    test('should still navigate to excluded desktop directly and toggle back', () => {
+        setup();
+        switchDesktop(1);
+
+        shortcut('Go to Desktop 3')();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+
+        shortcut('Go to Desktop 3')();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1]]);
+    });
+
+    test('should move window from excluded desktop to the most recently used one', () => {
+        setup();
+        switchDesktop(1);
+        switchDesktop(2);
+        mockWorkspace.activeWindow.desktops = [mockWorkspace.desktops[2]];
+
+        shortcut('Move Window to Previous Used Desktop')();
+
+        expect(mockWorkspace.activeWindow.desktops[0].id).toBe(testUUIDs[1]);
+    });
+
+    test('should remove newly excluded desktops from history', () => {
+        config.excludedDesktops = '';
+        setup();
+        switchDesktop(1);
+        switchDesktop(2);
+        switchDesktop(0);
+        expect(script.desktopHistory).toEqual([testUUIDs[1], testUUIDs[2], testUUIDs[0]]);
+
+        config.excludedDesktops = 'Code';
+        globalThis.options.configChanged.connect.mock.calls[0][0]();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[0]]);
+    });
+
+    test('should handle empty history when started on excluded desktop', () => {
+        mockWorkspace = createMockWorkspace(2);
+        globalThis.workspace = mockWorkspace;
+        setup();
+
+        expect(script.desktopHistory).toEqual([]);
+        expect(() => shortcut('Last Used Virtual Desktops')()).not.toThrow();
+        expect(() => shortcut('Last Used Virtual Desktops (Reverse)')()).not.toThrow();
+        expect(script.candidateIdx).toBe(null);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+    });
+
+    test('should not move window and follow it when history is empty', () => {
+        mockWorkspace = createMockWorkspace(2);
+        globalThis.workspace = mockWorkspace;
+        setup();
+        const window = mockWorkspace.activeWindow;
+
+        shortcut('Move Window to Previous Used Desktop and Follow')();
+
+        expect(window.desktops[0].id).toBe(testUUIDs[2]);
+        expect(script.desktopWindow).toEqual({});
+        expect(globalThis.console.log).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Tests for walking through history ranked by frecency
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Frecency-Ranked Walk', () => {
+    const hour = 60 * 60 * 1000;
+
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+    let historyNavigationHandler;
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = { id: testUUIDs[idx] };
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    // Walks back through history at the given time.
+    function walk(time) {
+        Date.now.mockReturnValue(time);
+        historyNavigationHandler();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    // Bounces between Desktops 1, 2 and 3, visits Desktop 4 once and returns to Desktop 1.
+    function buildWorkingSet() {
+        for (let i = 0; i < 3; i++) {
+            switchDesktop(1);
+            switchDesktop(2);
+            switchDesktop(0);
+        }
+        switchDesktop(3);
+        switchDesktop(0);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = { frecencyWalk: true };
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        script = loadScript();
+
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+        historyNavigationHandler = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Last Used Virtual Desktops',
+        )[3];
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should walk in most recently used order by default', () => {
+        config.frecencyWalk = false;
+        globalThis.options.configChanged.connect.mock.calls[0][0]();
+        buildWorkingSet();
+
+        walk(2000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+    });
+
+    test('should walk through frequently used desktops first', () => {
+        buildWorkingSet();
+
+        // History is [2, 3, 4, 1], Desktop 4 was visited once.
+        walk(2000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+        walk(2200);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+        walk(2400);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+    });
+
+    test('should keep history in most recently used order', () => {
+        buildWorkingSet();
+
+        walk(2000);
+        script.finalizeContinuing();
+
+        expect(script.desktopHistory).toEqual([
+            testUUIDs[1],
+            testUUIDs[3],
+            testUUIDs[0],
+            testUUIDs[2],
+        ]);
+    });
+
+    test('should let old visits lose their weight', () => {
+        buildWorkingSet();
+
+        // Three hours later Desktop 4 is used a couple of times.
+        Date.now.mockReturnValue(3 * hour);
+        switchDesktop(3);
+        switchDesktop(0);
+        switchDesktop(3);
+        switchDesktop(0);
+
+        walk(3 * hour + 1000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+        walk(3 * hour + 1200);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+    });
+
+    test('should show desktops in walk order', () => {
+        buildWorkingSet();
+
+        walk(2000);
+
+        expect(globalThis.callDBus).toHaveBeenCalledWith(
+            'org.kde.plasmashell',
+            '/org/kde/osdService',
+            'org.kde.osdService',
+            'showText',
+            'preferences-desktop-virtual',
+            'Desktop 1  [Desktop 3]  Desktop 2  Desktop 4',
+        );
+    });
+
+    test('should count visits only for desktops stopped on while walking', () => {
+        buildWorkingSet();
+        const score = idx => script.frecency.score(testUUIDs[idx], 2000);
+        const before = [score(1), score(3)];
+
+        walk(2000); // 1 → 3
+        walk(2200); // 3 → 2
+        script.finalizeContinuing();
+
+        expect(score(1)).toBeCloseTo(before[0] + 1);
+        expect(score(2)).toBeCloseTo(3);
+        expect(score(3)).toBeCloseTo(before[1]);
+    });
+
+    test('should toggle back to previously used desktop', () => {
+        buildWorkingSet();
+        const toggle = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Go to Desktop 1',
+        )[3];
+
+        // History is [2, 3, 4, 1]; the walk would pick Desktop 3 first.
+        Date.now.mockReturnValue(2000);
+        toggle();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+        expect(script.desktopHistory).toEqual([
+            testUUIDs[1],
+            testUUIDs[2],
+            testUUIDs[0],
+            testUUIDs[3],
+        ]);
+    });
+
+    test('should forget scores of removed desktops', () => {
+        buildWorkingSet();
+
+        mockWorkspace.desktops.splice(3, 1);
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+
+        expect(script.frecency.scores[testUUIDs[3]]).toBeUndefined();
+        expect(script.frecency.scores[testUUIDs[1]]).toBeDefined();
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tests for navigation through the desktop grid
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing, 3 columns with an incomplete second row:
+// 1 2 3
+// 4 5
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+    '55555555-5555-5555-5555-555555555555', // Desktop 5
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        desktopGridWidth: 3,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Grid Navigation', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function setup(startDesktop) {
+        mockWorkspace = createMockWorkspace(startDesktop);
+        globalThis.workspace = mockWorkspace;
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = { id: testUUIDs[idx] };
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    // Presses a shortcut at the given time and lets KWin report the change.
+    function press(title, time) {
+        const before = mockWorkspace.currentDesktop;
+        Date.now.mockReturnValue(time);
+        shortcut(title)();
+        if (mockWorkspace.currentDesktop !== before) {
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+        }
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockRegisterShortcut = jest.fn();
+        config = {};
+
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should navigate to neighbour desktops', () => {
+        setup(1); // Desktop 2
+
+        press('Go to Desktop Left', 2000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+
+        press('Go to Desktop Right', 3000);
+        press('Go to Desktop Right', 4000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+
+        press('Go to Desktop Left', 5000);
+        press('Go to Desktop Below', 6000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[4]);
+
+        press('Go to Desktop Above', 7000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+    });
+
+    test('should stay at grid edges', () => {
+        setup(0);
+
+        press('Go to Desktop Left', 2000);
+        press('Go to Desktop Above', 3000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+
+        // Desktop 3 has no desktop below it
+        switchDesktop(2);
+        press('Go to Desktop Below', 4000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+    });
+
+    test('should wrap around grid edges when enabled', () => {
+        config.gridWrap = true;
+        setup(0);
+
+        press('Go to Desktop Left', 2000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+
+        press('Go to Desktop Above', 3000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]); // Column has no other desktop
+
+        switchDesktop(1);
+        press('Go to Desktop Above', 4000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[4]);
+    });
+
+    test('should step over missing cells of the last row', () => {
+        config.gridWrap = true;
+        setup(4); // Desktop 5
+
+        press('Go to Desktop Right', 2000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+    });
+
+    test('should record series of moves as a single history move', () => {
+        setup(0);
+        switchDesktop(3); // 1 → 4
+
+        press('Go to Desktop Above', 2000); // 4 → 1
+        press('Go to Desktop Right', 2200); // 1 → 2
+        press('Go to Desktop Right', 2400); // 2 → 3
+
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[3], testUUIDs[2]]);
+
+        // Previously used desktop is the one the series started on
+        press('Last Used Virtual Desktops', 5000);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+    });
+
+    test('should not restore removed desktops when series continues', () => {
+        setup(0);
+        switchDesktop(2);
+        switchDesktop(0); // History: [3, 1]
+
+        press('Go to Desktop Right', 2000); // 1 → 2
+        mockWorkspace.desktops.splice(2, 1);
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+        press('Go to Desktop Right', 2200); // 2 → 4
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+        expect(script.desktopHistory).not.toContain(testUUIDs[2]);
+    });
+
+    test('should start new series after another desktop change', () => {
+        setup(0);
+
+        press('Go to Desktop Right', 2000); // 1 → 2
+        switchDesktop(3); // 2 → 4 by other means
+        press('Go to Desktop Right', 2200); // 4 → 5
+
+        expect(script.desktopHistory).toEqual([
+            testUUIDs[0],
+            testUUIDs[1],
+            testUUIDs[3],
+            testUUIDs[4],
+        ]);
+    });
+});
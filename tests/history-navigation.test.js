@@ -19,13 +19,23 @@ function createMockWorkspace(startDesktop = 0) {
         id: uuid,
         x11DesktopNumber: index + 1,
         name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
     }));
 
     return {
         currentDesktop: { id: testUUIDs[startDesktop] },
         desktops,
+        currentActivity: 'activity-1',
         currentDesktopChanged: { connect: jest.fn() },
         desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
     };
 }
 
@@ -47,6 +57,7 @@ describe('History Navigation', () => {
     let script;
     let desktopChangeHandler;
     let historyNavigationHandler;
+    let reverseNavigationHandler;
 
     beforeEach(() => {
         jest.clearAllMocks();
@@ -56,7 +67,11 @@ describe('History Navigation', () => {
 
         globalThis.workspace = mockWorkspace;
         globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
         globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
         globalThis.console = { log: jest.fn(), error: jest.fn() };
 
         // Mock Date.now for testing continuation logic
@@ -69,6 +84,9 @@ describe('History Navigation', () => {
         historyNavigationHandler = mockRegisterShortcut.mock.calls.find(
             call => call[0] === 'Last Used Virtual Desktops',
         )[3];
+        reverseNavigationHandler = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Last Used Virtual Desktops (Reverse)',
+        )[3];
     });
 
     afterEach(() => {
@@ -196,6 +214,186 @@ describe('History Navigation', () => {
         });
     });
 
+    describe('Reverse Navigation', () => {
+        beforeEach(() => {
+            // Build history: 1 → 2 → 3 → 4
+            [testUUIDs[1], testUUIDs[2], testUUIDs[3]].forEach(uuid => {
+                mockWorkspace.currentDesktop = { id: uuid };
+                desktopChangeHandler(mockWorkspace.currentDesktop);
+            });
+        });
+
+        test('should navigate to the oldest desktop on first press', () => {
+            Date.now.mockReturnValue(3000);
+            reverseNavigationHandler();
+
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]); // Desktop 1
+            expect(script.candidateIdx).toBe(0);
+        });
+
+        test('should walk towards the newest desktop with quick presses', () => {
+            Date.now.mockReturnValue(3000);
+            reverseNavigationHandler();
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]); // Desktop 1
+
+            Date.now.mockReturnValue(3200);
+            reverseNavigationHandler();
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]); // Desktop 2
+
+            Date.now.mockReturnValue(3400);
+            reverseNavigationHandler();
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]); // Desktop 3
+
+            Date.now.mockReturnValue(3600);
+            reverseNavigationHandler();
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]); // Desktop 4
+
+            // Should stay at Desktop 4 (end)
+            Date.now.mockReturnValue(3800);
+            reverseNavigationHandler();
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]); // Still Desktop 4
+        });
+
+        test('should step back after overshooting with forward navigation', () => {
+            Date.now.mockReturnValue(3000);
+            historyNavigationHandler(); // 4 → 3
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            Date.now.mockReturnValue(3200);
+            historyNavigationHandler(); // 3 → 2
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            Date.now.mockReturnValue(3400);
+            historyNavigationHandler(); // 2 → 1
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]); // Desktop 1
+
+            // Overshoot: go back to Desktop 2 within the same continuation window
+            Date.now.mockReturnValue(3600);
+            reverseNavigationHandler();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]); // Desktop 2
+
+            // Walk is finalized on next fresh press
+            Date.now.mockReturnValue(5000);
+            historyNavigationHandler();
+            expect(script.desktopHistory).toEqual([
+                testUUIDs[0],
+                testUUIDs[2],
+                testUUIDs[3],
+                testUUIDs[1],
+            ]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]); // Desktop 4
+        });
+
+        test('should not record intermediate navigation steps', () => {
+            Date.now.mockReturnValue(3000);
+            reverseNavigationHandler();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            Date.now.mockReturnValue(3200);
+            reverseNavigationHandler();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expect(script.desktopHistory).toEqual([
+                testUUIDs[0],
+                testUUIDs[1],
+                testUUIDs[2],
+                testUUIDs[3],
+            ]);
+        });
+    });
+
+    describe('Timer-Based Finalization', () => {
+        let timers;
+
+        function expireContinuation() {
+            timers.forEach(timer => {
+                if (timer.start.mock.calls.length > 0) {
+                    timer.timeout.connect.mock.calls.forEach(call => call[0]());
+                }
+            });
+        }
+
+        beforeEach(() => {
+            timers = [];
+            globalThis.QTimer = jest.fn(() => {
+                const timer = { timeout: { connect: jest.fn() }, start: jest.fn() };
+                timers.push(timer);
+                return timer;
+            });
+            mockWorkspace = createMockWorkspace(0);
+            globalThis.workspace = mockWorkspace;
+            mockRegisterShortcut.mockClear();
+            script = loadScript();
+            desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+            historyNavigationHandler = mockRegisterShortcut.mock.calls.find(
+                call => call[0] === 'Last Used Virtual Desktops',
+            )[3];
+            reverseNavigationHandler = mockRegisterShortcut.mock.calls.find(
+                call => call[0] === 'Last Used Virtual Desktops (Reverse)',
+            )[3];
+
+            // Build history: 1 → 2 → 3 → 4
+            [testUUIDs[1], testUUIDs[2], testUUIDs[3]].forEach(uuid => {
+                mockWorkspace.currentDesktop = { id: uuid };
+                desktopChangeHandler(mockWorkspace.currentDesktop);
+            });
+        });
+
+        test('should start single shot timer with continuation delay on each press', () => {
+            const timer = timers.find(t => t.timeout.connect.mock.calls.length > 0);
+
+            Date.now.mockReturnValue(3000);
+            historyNavigationHandler();
+            Date.now.mockReturnValue(3200);
+            reverseNavigationHandler();
+
+            expect(timer.singleShot).toBe(true);
+            expect(timer.interval).toBe(500);
+            expect(timer.start).toHaveBeenCalledTimes(2);
+        });
+
+        test('should finalize walk when continuation delay expires', () => {
+            Date.now.mockReturnValue(3000);
+            historyNavigationHandler(); // 4 → 3
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            Date.now.mockReturnValue(3200);
+            historyNavigationHandler(); // 3 → 2
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expireContinuation();
+
+            expect(script.candidateIdx).toBe(null);
+            expect(script.desktopHistory).toEqual([
+                testUUIDs[0],
+                testUUIDs[2],
+                testUUIDs[3],
+                testUUIDs[1],
+            ]);
+        });
+
+        test('should start fresh walk after finalization by timer', () => {
+            Date.now.mockReturnValue(3000);
+            historyNavigationHandler(); // 4 → 3
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expireContinuation();
+
+            Date.now.mockReturnValue(4000);
+            historyNavigationHandler(); // 3 → 4
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]); // Desktop 4
+        });
+
+        test('should do nothing when delay expires without walk', () => {
+            const historyBefore = [...script.desktopHistory];
+
+            expect(() =>
+                timers.forEach(timer =>
+                    timer.timeout.connect.mock.calls.forEach(call => call[0]()),
+                ),
+            ).not.toThrow();
+            expect(script.desktopHistory).toEqual(historyBefore);
+        });
+    });
+
     describe('Navigation State Management', () => {
         test('should track target desktop during navigation', () => {
             // Build some history
@@ -258,7 +456,7 @@ describe('History Navigation', () => {
             expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
         });
 
-        test('should reset history when desktops change', () => {
+        test('should keep history when desktops change', () => {
             // Build some history
             mockWorkspace.currentDesktop = { id: testUUIDs[1] };
             desktopChangeHandler(mockWorkspace.currentDesktop);
@@ -268,8 +466,8 @@ describe('History Navigation', () => {
             // Trigger desktops changed
             desktopsChangedHandler();
 
-            // Should reset to current desktop only
-            expect(script.desktopHistory).toEqual([mockWorkspace.currentDesktop.id]);
+            // Should keep history of existing desktops
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1]]);
             expect(script.candidateIdx).toBe(null);
         });
     });
@@ -14,17 +14,63 @@ const mockUUIDs = [
 const mockWorkspace = {
     currentDesktop: { id: mockUUIDs[0] },
     desktops: [
-        { id: mockUUIDs[0], x11DesktopNumber: 1, name: 'Desktop 1' },
-        { id: mockUUIDs[1], x11DesktopNumber: 2, name: 'Desktop 2' },
-        { id: mockUUIDs[2], x11DesktopNumber: 3, name: 'Desktop 3' },
-        { id: mockUUIDs[3], x11DesktopNumber: 4, name: 'Desktop 4' },
+        {
+            id: mockUUIDs[0],
+            x11DesktopNumber: 1,
+            name: 'Desktop 1',
+            nameChanged: { connect: jest.fn() },
+            x11DesktopNumberChanged: { connect: jest.fn() },
+        },
+        {
+            id: mockUUIDs[1],
+            x11DesktopNumber: 2,
+            name: 'Desktop 2',
+            nameChanged: { connect: jest.fn() },
+            x11DesktopNumberChanged: { connect: jest.fn() },
+        },
+        {
+            id: mockUUIDs[2],
+            x11DesktopNumber: 3,
+            name: 'Desktop 3',
+            nameChanged: { connect: jest.fn() },
+            x11DesktopNumberChanged: { connect: jest.fn() },
+        },
+        {
+            id: mockUUIDs[3],
+            x11DesktopNumber: 4,
+            name: 'Desktop 4',
+            nameChanged: { connect: jest.fn() },
+            x11DesktopNumberChanged: { connect: jest.fn() },
+        },
     ],
+    currentActivity: 'activity-1',
     currentDesktopChanged: {
         connect: jest.fn(),
     },
     desktopsChanged: {
         connect: jest.fn(),
     },
+    desktopLayoutChanged: {
+        connect: jest.fn(),
+    },
+    currentActivityChanged: {
+        connect: jest.fn(),
+    },
+    activityAdded: {
+        connect: jest.fn(),
+    },
+    activityRemoved: {
+        connect: jest.fn(),
+    },
+    windowActivated: {
+        connect: jest.fn(),
+    },
+    windowAdded: {
+        connect: jest.fn(),
+    },
+    windowRemoved: {
+        connect: jest.fn(),
+    },
 };
 
 const mockRegisterShortcut = jest.fn();
@@ -33,7 +79,11 @@ const mockReadConfig = jest.fn((key, defaultValue) => defaultValue);
 // Set up global mocks
 globalThis.workspace = mockWorkspace;
 globalThis.registerShortcut = mockRegisterShortcut;
+globalThis.registerUserActionsMenu = jest.fn();
 globalThis.readConfig = mockReadConfig;
+globalThis.callDBus = jest.fn();
+globalThis.options = { configChanged: { connect: jest.fn() } };
+globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
 globalThis.console = {
     log: jest.fn(),
     error: jest.fn(),
@@ -57,10 +107,34 @@ describe('LastUsedDesktops Integration', () => {
 
         // Reset desktops array
         mockWorkspace.desktops = [
-            { id: mockUUIDs[0], x11DesktopNumber: 1, name: 'Desktop 1' },
-            { id: mockUUIDs[1], x11DesktopNumber: 2, name: 'Desktop 2' },
-            { id: mockUUIDs[2], x11DesktopNumber: 3, name: 'Desktop 3' },
-            { id: mockUUIDs[3], x11DesktopNumber: 4, name: 'Desktop 4' },
+            {
+                id: mockUUIDs[0],
+                x11DesktopNumber: 1,
+                name: 'Desktop 1',
+                nameChanged: { connect: jest.fn() },
+                x11DesktopNumberChanged: { connect: jest.fn() },
+            },
+            {
+                id: mockUUIDs[1],
+                x11DesktopNumber: 2,
+                name: 'Desktop 2',
+                nameChanged: { connect: jest.fn() },
+                x11DesktopNumberChanged: { connect: jest.fn() },
+            },
+            {
+                id: mockUUIDs[2],
+                x11DesktopNumber: 3,
+                name: 'Desktop 3',
+                nameChanged: { connect: jest.fn() },
+                x11DesktopNumberChanged: { connect: jest.fn() },
+            },
+            {
+                id: mockUUIDs[3],
+                x11DesktopNumber: 4,
+                name: 'Desktop 4',
+                nameChanged: { connect: jest.fn() },
+                x11DesktopNumberChanged: { connect: jest.fn() },
+            },
         ];
 
         // Remove global instance before each test
@@ -84,6 +158,12 @@ describe('LastUsedDesktops Integration', () => {
             'Meta+Tab',
             expect.any(Function),
         );
+        expect(mockRegisterShortcut).toHaveBeenCalledWith(
+            'Last Used Virtual Desktops (Reverse)',
+            'Navigate forward through virtual desktops history',
+            'Meta+Shift+Tab',
+            expect.any(Function),
+        );
 
         // Should register shortcuts for 20 desktops (default max)
         for (let i = 1; i <= 20; i++) {
@@ -93,10 +173,17 @@ describe('LastUsedDesktops Integration', () => {
                 '',
                 expect.any(Function),
             );
+            expect(mockRegisterShortcut).toHaveBeenCalledWith(
+                `Move Window to Desktop ${i}`,
+                `Move active window to virtual desktop ${i} with toggle`,
+                '',
+                expect.any(Function),
+            );
         }
 
-        // Total calls: 1 (history) + 20 (desktops) = 21
-        expect(mockRegisterShortcut).toHaveBeenCalledTimes(21);
+        // Total: 2 (history) + 2 (window history) + 2 (state dump, statistics) + 4 (grid)
+        //   + 18 (marks) + 20 (desktops) + 20 (windows)
+        expect(mockRegisterShortcut).toHaveBeenCalledTimes(68);
     });
 
     test('should connect to workspace signals', () => {
@@ -107,6 +194,18 @@ describe('LastUsedDesktops Integration', () => {
         );
 
         expect(mockWorkspace.desktopsChanged.connect).toHaveBeenCalledWith(expect.any(Function));
+        expect(mockWorkspace.desktopLayoutChanged.connect).toHaveBeenCalledWith(
+            expect.any(Function),
+        );
+
+        expect(mockWorkspace.currentActivityChanged.connect).toHaveBeenCalledWith(
+            expect.any(Function),
+        );
+        expect(mockWorkspace.activityAdded.connect).toHaveBeenCalledWith(expect.any(Function));
+        expect(mockWorkspace.activityRemoved.connect).toHaveBeenCalledWith(expect.any(Function));
+        expect(mockWorkspace.windowActivated.connect).toHaveBeenCalledWith(expect.any(Function));
+        expect(mockWorkspace.windowAdded.connect).toHaveBeenCalledWith(expect.any(Function));
+        expect(mockWorkspace.windowRemoved.connect).toHaveBeenCalledWith(expect.any(Function));
     });
 
     test('should initialize with current desktop in history', () => {
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Tests for direct desktop navigation by name
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+const desktopNames = ['Mail', 'Code', 'Chat'];
+
+function createMockDesktop(id, name) {
+    return {
+        id,
+        name,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    };
+}
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        ...createMockDesktop(uuid, desktopNames[index]),
+        x11DesktopNumber: index + 1,
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+        createDesktop: jest.fn((position, name) => {
+            const desktop = createMockDesktop(`created-uuid-${name}`, name);
+            globalThis.workspace.desktops.splice(position, 0, desktop);
+            globalThis.workspace.desktops.forEach((d, i) => (d.x11DesktopNumber = i + 1));
+        }),
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Name-Bound Desktop Navigation', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function nameShortcutTitles() {
+        return mockRegisterShortcut.mock.calls
+            .map(call => call[0])
+            .filter(title => title.startsWith("Go to Desktop '"));
+    }
+
+    function pressAndSettle(title) {
+        shortcut(title)();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = { desktopNameShortcuts: 'Code, Chat,, Music' };
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    function setup() {
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    test('should register shortcut for each configured name', () => {
+        setup();
+
+        expect(nameShortcutTitles()).toEqual([
+            "Go to Desktop 'Code'",
+            "Go to Desktop 'Chat'",
+            "Go to Desktop 'Music'",
+        ]);
+        const call = mockRegisterShortcut.mock.calls.find(c => c[0] === "Go to Desktop 'Code'");
+        expect(call[1]).toBe("Navigate to virtual desktop 'Code' with toggle");
+        expect(call[2]).toBe('');
+    });
+
+    test('should register only new names on config change', () => {
+        setup();
+        mockRegisterShortcut.mockClear();
+
+        config.desktopNameShortcuts = 'Chat, Mail';
+        globalThis.options.configChanged.connect.mock.calls[0][0]();
+
+        expect(nameShortcutTitles()).toEqual(["Go to Desktop 'Mail'"]);
+    });
+
+    test('should navigate to desktop by name and toggle back', () => {
+        setup();
+
+        pressAndSettle("Go to Desktop 'Chat'");
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+
+        pressAndSettle("Go to Desktop 'Chat'");
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+        expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[0]]);
+    });
+
+    test('should find desktop by name after reordering', () => {
+        setup();
+
+        mockWorkspace.desktops.reverse();
+        mockWorkspace.desktops.forEach((d, i) => (d.x11DesktopNumber = i + 1));
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+
+        pressAndSettle("Go to Desktop 'Code'");
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+    });
+
+    test('should follow desktop rename', () => {
+        config.desktopNameShortcuts = 'Music';
+        setup();
+
+        mockWorkspace.desktops[1].name = 'Music';
+        mockWorkspace.desktops[1].nameChanged.connect.mock.calls[0][0]();
+
+        pressAndSettle("Go to Desktop 'Music'");
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+    });
+
+    test('should not create missing desktop by default', () => {
+        setup();
+
+        pressAndSettle("Go to Desktop 'Music'");
+
+        expect(mockWorkspace.createDesktop).not.toHaveBeenCalled();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should create missing desktop and switch to it', () => {
+        config.createNamedDesktops = true;
+        setup();
+
+        pressAndSettle("Go to Desktop 'Music'");
+
+        expect(mockWorkspace.createDesktop).toHaveBeenCalledWith(3, 'Music');
+        expect(mockWorkspace.currentDesktop.id).toBe('created-uuid-Music');
+        expect(script.map.desc('created-uuid-Music')).toBe('Music (4)');
+        expect(script.desktopHistory).toEqual([testUUIDs[0], 'created-uuid-Music']);
+
+        // Second press toggles back instead of creating one more desktop
+        pressAndSettle("Go to Desktop 'Music'");
+        expect(mockWorkspace.createDesktop).toHaveBeenCalledTimes(1);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should handle failed desktop creation', () => {
+        config.createNamedDesktops = true;
+        setup();
+        mockWorkspace.createDesktop.mockImplementation(() => {});
+
+        expect(() => shortcut("Go to Desktop 'Music'")()).not.toThrow();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Tests for on-screen display of history navigation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+];
+
+const desktopNames = ['Mail', 'Code', 'Chat', 'Music'];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: desktopNames[index],
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('On-Screen Display', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let config;
+    let desktopChangeHandler;
+    let historyNavigationHandler;
+    let reverseNavigationHandler;
+
+    function shownTexts() {
+        return globalThis.callDBus.mock.calls
+            .filter(call => call[1] === '/org/kde/osdService')
+            .map(call => call[5]);
+    }
+
+    function setup() {
+        loadScript();
+
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+        historyNavigationHandler = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Last Used Virtual Desktops',
+        )[3];
+        reverseNavigationHandler = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Last Used Virtual Desktops (Reverse)',
+        )[3];
+
+        // Build history: Mail → Code → Chat → Music
+        for (let i = 1; i < testUUIDs.length; i++) {
+            mockWorkspace.currentDesktop = { id: testUUIDs[i] };
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+        }
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = {};
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should show desktop names in most recently used order', () => {
+        setup();
+
+        Date.now.mockReturnValue(2000);
+        historyNavigationHandler();
+
+        expect(globalThis.callDBus).toHaveBeenCalledWith(
+            'org.kde.plasmashell',
+            '/org/kde/osdService',
+            'org.kde.osdService',
+            'showText',
+            'preferences-desktop-virtual',
+            'Music  [Chat]  Code  Mail',
+        );
+    });
+
+    test('should update highlighted desktop while walking', () => {
+        setup();
+
+        Date.now.mockReturnValue(2000);
+        historyNavigationHandler();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        Date.now.mockReturnValue(2200);
+        historyNavigationHandler();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        Date.now.mockReturnValue(2400);
+        reverseNavigationHandler();
+
+        expect(shownTexts()).toEqual([
+            'Music  [Chat]  Code  Mail',
+            'Music  Chat  [Code]  Mail',
+            'Music  [Chat]  Code  Mail',
+        ]);
+    });
+
+    test('should close when continuing navigation finalizes', () => {
+        setup();
+
+        Date.now.mockReturnValue(2000);
+        historyNavigationHandler();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        // Switch desktop by other means
+        mockWorkspace.currentDesktop = { id: testUUIDs[0] };
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        // Walk is replaced by the desktop it ended on, Plasma closes it after a timeout
+        expect(shownTexts()).toEqual(['Music  [Chat]  Code  Mail', 'Chat']);
+    });
+
+    test('should close when continuation delay expires', () => {
+        setup();
+
+        Date.now.mockReturnValue(2000);
+        historyNavigationHandler();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        globalThis.QTimer.mock.results[0].value.timeout.connect.mock.calls[0][0]();
+
+        expect(shownTexts()).toEqual(['Music  [Chat]  Code  Mail', 'Chat']);
+
+        // Nothing more to close on later desktop changes
+        mockWorkspace.currentDesktop = { id: testUUIDs[0] };
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        expect(shownTexts()).toHaveLength(2);
+    });
+
+    test('should not show toggle back to previous desktop', () => {
+        setup();
+
+        const toggleHandler4 = mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Go to Desktop 4',
+        )[3];
+        toggleHandler4();
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+        expect(shownTexts()).toEqual([]);
+    });
+
+    test('should not show when disabled', () => {
+        config.osdEnabled = false;
+        setup();
+
+        Date.now.mockReturnValue(2000);
+        historyNavigationHandler();
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+        expect(shownTexts()).toEqual([]);
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Tests for desktop history persistence
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+    '44444444-4444-4444-4444-444444444444', // Desktop 4
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: 'activity-1',
+        activities: ['activity-1', 'activity-2'],
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+/**
+ * Local stand-in for the D-Bus key-value service.
+ */
+function createMockStorageService(values = {}) {
+    const service = {
+        values,
+        callDBus: jest.fn((_service, _path, _interface, method, ...args) => {
+            if (method === 'Get') {
+                const [key, callback] = args;
+                callback(service.values[key] || '');
+            } else if (method === 'Set') {
+                const [key, value] = args;
+                service.values[key] = value;
+            }
+        }),
+    };
+    return service;
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('History Persistence', () => {
+    let mockWorkspace;
+    let mockService;
+    let config;
+
+    function saved() {
+        return JSON.parse(mockService.values.desktopHistory).activities;
+    }
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = { id: testUUIDs[idx] };
+        mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0](mockWorkspace.currentDesktop);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockService = createMockStorageService();
+        config = { persistHistory: true };
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = jest.fn();
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = mockService.callDBus;
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should not use storage when persistence is disabled', () => {
+        config.persistHistory = false;
+
+        const script = loadScript();
+        switchDesktop(1);
+
+        expect(script.store.storage).toBe(null);
+        expect(mockService.callDBus).not.toHaveBeenCalled();
+    });
+
+    test('should use configured D-Bus service', () => {
+        config.historyStoreService = 'org.example.Storage';
+
+        loadScript();
+
+        expect(mockService.callDBus).toHaveBeenCalledWith(
+            'org.example.Storage',
+            '/LastUsedDesktops',
+            'org.kde.LastUsedDesktops.Storage',
+            'Get',
+            'desktopHistory',
+            expect.any(Function),
+        );
+    });
+
+    test('should save history by desktop UUID on change', () => {
+        loadScript();
+
+        switchDesktop(1);
+        switchDesktop(2);
+
+        expect(saved()).toEqual({
+            'activity-1': [testUUIDs[0], testUUIDs[1], testUUIDs[2]],
+        });
+    });
+
+    test('should restore saved history on start', () => {
+        mockService.values.desktopHistory = JSON.stringify({
+            activities: {
+                'activity-1': [testUUIDs[2], testUUIDs[1], testUUIDs[0]],
+                'activity-2': [testUUIDs[3], testUUIDs[1]],
+            },
+        });
+
+        const script = loadScript();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[1], testUUIDs[0]]);
+        expect(script.histories['activity-2']).toEqual([testUUIDs[3], testUUIDs[1]]);
+    });
+
+    test('should keep current desktop as the last one after restore', () => {
+        mockService.values.desktopHistory = JSON.stringify({
+            activities: { 'activity-1': [testUUIDs[0], testUUIDs[2], testUUIDs[1]] },
+        });
+
+        const script = loadScript();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[1], testUUIDs[0]]);
+    });
+
+    test('should skip stale desktops and activities', () => {
+        mockService.values.desktopHistory = JSON.stringify({
+            activities: {
+                'activity-1': ['removed-uuid', testUUIDs[1], testUUIDs[1], testUUIDs[3]],
+                'removed-activity': [testUUIDs[2]],
+            },
+        });
+
+        const script = loadScript();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[1], testUUIDs[3], testUUIDs[0]]);
+        expect(script.histories['removed-activity']).toBeUndefined();
+    });
+
+    test('should ignore corrupted saved history', () => {
+        mockService.values.desktopHistory = '{not json';
+
+        const script = loadScript();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[0]]);
+    });
+
+    test('should skip saved history of unexpected shape', () => {
+        mockService.values.desktopHistory = JSON.stringify({
+            activities: {
+                'activity-1': testUUIDs[1],
+                'activity-2': [testUUIDs[3], 3],
+            },
+        });
+
+        const script = loadScript();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[0]]);
+        expect(script.histories['activity-2']).toBeUndefined();
+        expect(globalThis.console.log).toHaveBeenCalledWith(
+            'LastUsedDesktops [warning]: Skipping invalid saved history of activity activity-1',
+        );
+    });
+
+    test('should ignore saved history without activities', () => {
+        mockService.values.desktopHistory = JSON.stringify({ activities: null });
+
+        const script = loadScript();
+
+        expect(script.desktopHistory).toEqual([testUUIDs[0]]);
+    });
+
+    test('should not overwrite saved history before it is loaded', () => {
+        const pending = [];
+        globalThis.callDBus = jest.fn((_service, _path, _interface, method, ...args) => {
+            if (method === 'Get') {
+                pending.push(args[1]);
+            } else {
+                mockService.callDBus(_service, _path, _interface, method, ...args);
+            }
+        });
+        mockService.values.desktopHistory = JSON.stringify({
+            activities: { 'activity-1': [testUUIDs[3], testUUIDs[2]] },
+        });
+
+        const script = loadScript();
+        switchDesktop(1);
+
+        expect(globalThis.callDBus).not.toHaveBeenCalledWith(
+            expect.anything(),
+            expect.anything(),
+            expect.anything(),
+            'Set',
+            expect.anything(),
+            expect.anything(),
+        );
+
+        pending[0](mockService.values.desktopHistory);
+        switchDesktop(0);
+
+        expect(script.desktopHistory).toEqual([
+            testUUIDs[3],
+            testUUIDs[2],
+            testUUIDs[1],
+            testUUIDs[0],
+        ]);
+        expect(saved()['activity-1']).toEqual(script.desktopHistory);
+    });
+
+    test('should save history after desktop removal', () => {
+        loadScript();
+        switchDesktop(1);
+        switchDesktop(2);
+
+        mockWorkspace.desktops.splice(1, 1);
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+
+        expect(saved()['activity-1']).toEqual([testUUIDs[0], testUUIDs[2]]);
+    });
+});
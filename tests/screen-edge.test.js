@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Tests for screen edge activation of history navigation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+// KWin.ElectricBorder values
+const electricBorder = {
+    ElectricTop: 0,
+    ElectricTopRight: 1,
+    ElectricRight: 2,
+    ElectricBottomRight: 3,
+    ElectricBottom: 4,
+    ElectricBottomLeft: 5,
+    ElectricLeft: 6,
+    ElectricTopLeft: 7,
+    ELECTRIC_COUNT: 8,
+    ElectricNone: 9,
+};
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Screen Edge', () => {
+    let mockWorkspace;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function reloadConfig() {
+        globalThis.options.configChanged.connect.mock.calls[0][0]();
+    }
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        config = {};
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = jest.fn();
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.registerScreenEdge = jest.fn(() => true);
+        globalThis.unregisterScreenEdge = jest.fn(() => true);
+        globalThis.KWin = electricBorder;
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should not register screen edge by default', () => {
+        script = loadScript();
+
+        expect(globalThis.registerScreenEdge).not.toHaveBeenCalled();
+        expect(script.screenEdge).toBe(null);
+    });
+
+    test('should switch to previously used desktop on configured edge', () => {
+        config.screenEdge = 8; // Top-Left
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+        switchDesktop(1);
+        switchDesktop(2);
+
+        expect(globalThis.registerScreenEdge).toHaveBeenCalledWith(
+            electricBorder.ElectricTopLeft,
+            expect.any(Function),
+        );
+        const edgeHandler = globalThis.registerScreenEdge.mock.calls[0][1];
+
+        Date.now.mockReturnValue(2000);
+        edgeHandler();
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+
+        Date.now.mockReturnValue(2200);
+        edgeHandler();
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+    });
+
+    test('should replace screen edge when setting changes', () => {
+        config.screenEdge = 3; // Right
+        script = loadScript();
+
+        config.screenEdge = 5; // Bottom
+        reloadConfig();
+
+        expect(globalThis.unregisterScreenEdge).toHaveBeenCalledWith(electricBorder.ElectricRight);
+        expect(globalThis.registerScreenEdge).toHaveBeenLastCalledWith(
+            electricBorder.ElectricBottom,
+            expect.any(Function),
+        );
+        expect(script.screenEdge).toBe(electricBorder.ElectricBottom);
+    });
+
+    test('should unregister screen edge when turned off', () => {
+        config.screenEdge = 1; // Top
+        script = loadScript();
+
+        config.screenEdge = 0;
+        reloadConfig();
+        reloadConfig();
+
+        expect(globalThis.unregisterScreenEdge).toHaveBeenCalledTimes(1);
+        expect(globalThis.unregisterScreenEdge).toHaveBeenCalledWith(electricBorder.ElectricTop);
+        expect(globalThis.registerScreenEdge).toHaveBeenCalledTimes(1);
+        expect(script.screenEdge).toBe(null);
+    });
+
+    test('should retry failed registration on next config reload', () => {
+        config.screenEdge = 7; // Left
+        globalThis.registerScreenEdge.mockReturnValueOnce(false);
+        script = loadScript();
+        expect(script.screenEdge).toBe(null);
+
+        reloadConfig();
+
+        expect(globalThis.registerScreenEdge).toHaveBeenCalledTimes(2);
+        expect(globalThis.unregisterScreenEdge).not.toHaveBeenCalled();
+        expect(script.screenEdge).toBe(electricBorder.ElectricLeft);
+    });
+});
@@ -25,6 +25,8 @@ function createMockWorkspace(options = {}) {
               id: testUUIDs[index] || `generated-uuid-${index}`,
               x11DesktopNumber: index + 1,
               name: `Desktop ${index + 1}`,
+              nameChanged: { connect: jest.fn() },
+              x11DesktopNumberChanged: { connect: jest.fn() },
           }))
         : [];
 
@@ -33,8 +35,16 @@ function createMockWorkspace(options = {}) {
             ? { id: testUUIDs[config.startDesktop] || `generated-uuid-${config.startDesktop}` }
             : null,
         desktops,
+        currentActivity: 'activity-1',
         currentDesktopChanged: { connect: jest.fn() },
         desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
     };
 }
 
@@ -64,7 +74,11 @@ describe('State Management and Edge Cases', () => {
         mockWorkspace = createMockWorkspace();
         globalThis.workspace = mockWorkspace;
         globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
         globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
         globalThis.console = { log: jest.fn(), error: jest.fn() };
 
         jest.spyOn(Date, 'now').mockReturnValue(1000);
@@ -94,6 +108,136 @@ describe('State Management and Edge Cases', () => {
         });
     });
 
+    describe('Desktop Numbering', () => {
+        let ids;
+
+        beforeEach(() => {
+            mockWorkspace = createMockWorkspace({ desktopCount: 4 });
+            globalThis.workspace = mockWorkspace;
+            script = loadScript();
+            ids = mockWorkspace.desktops.map(desktop => desktop.id);
+        });
+
+        // Timer created after the continuation timer
+        function rebuildTimer() {
+            return globalThis.QTimer.mock.results[globalThis.QTimer.mock.results.length - 1].value;
+        }
+
+        /**
+         * Move desktop like workspace.moveDesktop does: desktops are reordered first,
+         * then each desktop with changed number emits x11DesktopNumberChanged.
+         */
+        function moveDesktop(from, to) {
+            const [desktop] = mockWorkspace.desktops.splice(from, 1);
+            mockWorkspace.desktops.splice(to, 0, desktop);
+            mockWorkspace.desktops.forEach((d, i) => {
+                if (d.x11DesktopNumber !== i + 1) {
+                    d.x11DesktopNumber = i + 1;
+                    d.x11DesktopNumberChanged.connect.mock.calls[0][0]();
+                }
+            });
+            rebuildTimer().timeout.connect.mock.calls[0][0]();
+        }
+
+        function numbers() {
+            return mockWorkspace.desktops.map(desktop => script.map.desktopNum[desktop.id]);
+        }
+
+        test('should number desktops by position if X11 numbers are not unique', () => {
+            mockWorkspace.desktops[3].x11DesktopNumber = 2;
+
+            script.map.build(mockWorkspace.desktops);
+
+            expect(numbers()).toEqual([1, 2, 3, 4]);
+            expect(script.map.id(4)).toBe(ids[3]);
+        });
+
+        test('should number desktops by position if X11 numbers are invalid', () => {
+            mockWorkspace.desktops[0].x11DesktopNumber = 0;
+
+            script.map.build(mockWorkspace.desktops);
+
+            expect(numbers()).toEqual([1, 2, 3, 4]);
+        });
+
+        test('should use valid X11 numbers even if they differ from position', () => {
+            mockWorkspace.desktops[0].x11DesktopNumber = 2;
+            mockWorkspace.desktops[1].x11DesktopNumber = 1;
+
+            script.map.build(mockWorkspace.desktops);
+
+            expect(script.map.id(1)).toBe(ids[1]);
+            expect(script.map.id(2)).toBe(ids[0]);
+        });
+
+        test('should follow moved desktop', () => {
+            moveDesktop(3, 0);
+
+            expect(script.map.id(1)).toBe(ids[3]);
+            expect(script.map.id(2)).toBe(ids[0]);
+            expect(script.map.id(4)).toBe(ids[2]);
+
+            // Shortcuts registered by the last loaded script
+            const toggleHandler1 = mockRegisterShortcut.mock.calls
+                .filter(call => call[0] === 'Go to Desktop 1')
+                .pop()[3];
+            toggleHandler1();
+            expect(mockWorkspace.currentDesktop.id).toBe(ids[3]);
+        });
+
+        test('should keep map consistent while desktop numbers are updated', () => {
+            // Only first desktop got its new number yet
+            const [desktop] = mockWorkspace.desktops.splice(3, 1);
+            mockWorkspace.desktops.unshift(desktop);
+            desktop.x11DesktopNumber = 1;
+            desktop.x11DesktopNumberChanged.connect.mock.calls[0][0]();
+            rebuildTimer().timeout.connect.mock.calls[0][0]();
+
+            expect(numbers()).toEqual([1, 2, 3, 4]);
+        });
+
+        test('should rebuild map once per batch of number changes', () => {
+            const build = jest.spyOn(script.map, 'build');
+
+            moveDesktop(3, 0);
+
+            expect(rebuildTimer().start).toHaveBeenCalledTimes(1);
+            expect(build).toHaveBeenCalledTimes(1);
+        });
+
+        test('should skip scheduled rebuild after desktops change', () => {
+            mockWorkspace.desktops.reverse();
+            mockWorkspace.desktops.forEach((d, i) => {
+                d.x11DesktopNumber = i + 1;
+                d.x11DesktopNumberChanged.connect.mock.calls[0][0]();
+            });
+            mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+            const build = jest.spyOn(script.map, 'build');
+
+            rebuildTimer().timeout.connect.mock.calls[0][0]();
+
+            expect(build).not.toHaveBeenCalled();
+            expect(script.map.id(1)).toBe(ids[3]);
+        });
+
+        test('should rebuild map on desktop layout change', () => {
+            mockWorkspace.desktops.reverse();
+            mockWorkspace.desktops.forEach((d, i) => (d.x11DesktopNumber = i + 1));
+
+            mockWorkspace.desktopLayoutChanged.connect.mock.calls[0][0]();
+
+            expect(script.map.id(1)).toBe(ids[3]);
+        });
+
+        test('should keep history on desktop move', () => {
+            script.desktopHistory = [ids[1], ids[0]];
+
+            moveDesktop(0, 2);
+
+            expect(script.desktopHistory).toEqual([ids[1], ids[0]]);
+        });
+    });
+
     describe('Desktop Change Handling', () => {
         beforeEach(() => {
             mockWorkspace = createMockWorkspace();
@@ -193,8 +337,20 @@ describe('State Management and Edge Cases', () => {
             // Change workspace configuration
             const newUUIDs = ['new-1', 'new-2'];
             mockWorkspace.desktops = [
-                { id: newUUIDs[0], x11DesktopNumber: 1, name: 'New Desktop 1' },
-                { id: newUUIDs[1], x11DesktopNumber: 2, name: 'New Desktop 2' },
+                {
+                    id: newUUIDs[0],
+                    x11DesktopNumber: 1,
+                    name: 'New Desktop 1',
+                    nameChanged: { connect: jest.fn() },
+                    x11DesktopNumberChanged: { connect: jest.fn() },
+                },
+                {
+                    id: newUUIDs[1],
+                    x11DesktopNumber: 2,
+                    name: 'New Desktop 2',
+                    nameChanged: { connect: jest.fn() },
+                    x11DesktopNumberChanged: { connect: jest.fn() },
+                },
             ];
             mockWorkspace.currentDesktop = { id: newUUIDs[0] };
 
@@ -207,18 +363,115 @@ describe('State Management and Edge Cases', () => {
             expect(script.map.desktopNum[newUUIDs[1]]).toBe(2);
         });
 
-        test('should reset history on desktops change', () => {
+        test('should keep history on desktops change', () => {
             const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
 
             // Build some history first
+            mockWorkspace.currentDesktop = { id: testUUIDs[2] };
             script.desktopHistory = [testUUIDs[0], testUUIDs[1], testUUIDs[2]];
 
             desktopsChangedHandler();
 
-            // History should be reset to current desktop
-            expect(script.desktopHistory).toEqual([mockWorkspace.currentDesktop.id]);
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[1], testUUIDs[2]]);
             expect(script.candidateIdx).toBe(null);
         });
+
+        test('should drop only removed desktops from history', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+
+            mockWorkspace.currentDesktop = { id: testUUIDs[2] };
+            script.desktopHistory = [testUUIDs[1], testUUIDs[0], testUUIDs[2]];
+            script.histories['activity-2'] = [testUUIDs[2], testUUIDs[1]];
+
+            // Remove Desktop 2
+            mockWorkspace.desktops.splice(1, 1);
+            desktopsChangedHandler();
+
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[2]]);
+            expect(script.histories['activity-2']).toEqual([testUUIDs[2]]);
+            expect(script.map.desktopID[2]).toBeUndefined();
+        });
+
+        test('should keep history when unvisited desktop is added', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+
+            mockWorkspace.currentDesktop = { id: testUUIDs[1] };
+            script.desktopHistory = [testUUIDs[2], testUUIDs[0], testUUIDs[1]];
+
+            mockWorkspace.desktops.push({
+                id: 'added-uuid',
+                x11DesktopNumber: 4,
+                name: 'Desktop 4',
+                nameChanged: { connect: jest.fn() },
+                x11DesktopNumberChanged: { connect: jest.fn() },
+            });
+            desktopsChangedHandler();
+
+            expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[0], testUUIDs[1]]);
+            expect(script.map.desktopID[4]).toBe('added-uuid');
+        });
+
+        test('should add current desktop if it replaced removed one', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+
+            mockWorkspace.currentDesktop = { id: testUUIDs[2] };
+            script.desktopHistory = [testUUIDs[0], testUUIDs[2], testUUIDs[1]];
+
+            // Remove current Desktop 2, KWin switched to Desktop 3 without signal yet
+            mockWorkspace.desktops.splice(1, 1);
+            desktopsChangedHandler();
+
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[2]]);
+        });
+
+        test('should keep continuing navigation on desktops change', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+
+            // Walking from Desktop 3 to Desktop 1 through history [1, 2, 3]
+            mockWorkspace.currentDesktop = { id: testUUIDs[0] };
+            script.desktopHistory = [testUUIDs[0], testUUIDs[1], testUUIDs[2]];
+            script.candidateIdx = 0;
+
+            // Remove Desktop 2
+            mockWorkspace.desktops.splice(1, 1);
+            desktopsChangedHandler();
+
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[2]]);
+            expect(script.candidateIdx).toBe(0);
+        });
+
+        test('should move candidate index when earlier desktops are removed', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+
+            // Walking from Desktop 1 to Desktop 3 through history [2, 3, 1]
+            mockWorkspace.currentDesktop = { id: testUUIDs[2] };
+            script.desktopHistory = [testUUIDs[1], testUUIDs[2], testUUIDs[0]];
+            script.candidateIdx = 1;
+
+            // Remove Desktop 2
+            mockWorkspace.desktops.splice(1, 1);
+            desktopsChangedHandler();
+
+            expect(script.candidateIdx).toBe(0);
+            expect(script.desktopHistory[script.candidateIdx]).toBe(testUUIDs[2]);
+        });
+
+        test('should cancel continuing navigation if candidate desktop is removed', () => {
+            const desktopsChangedHandler = mockWorkspace.desktopsChanged.connect.mock.calls[0][0];
+
+            // Walking from Desktop 3 to Desktop 2 through history [1, 2, 3]
+            mockWorkspace.currentDesktop = { id: testUUIDs[1] };
+            script.desktopHistory = [testUUIDs[0], testUUIDs[1], testUUIDs[2]];
+            script.candidateIdx = 1;
+
+            // Remove Desktop 2, KWin switched to Desktop 1
+            mockWorkspace.desktops.splice(1, 1);
+            mockWorkspace.currentDesktop = { id: testUUIDs[0] };
+            desktopsChangedHandler();
+
+            expect(script.candidateIdx).toBe(null);
+            expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[0]]);
+        });
     });
 
     describe('Navigation Error Handling', () => {
@@ -260,12 +513,61 @@ describe('State Management and Edge Cases', () => {
 
         test('should describe desktop correctly', () => {
             const desc1 = script.map.desc(testUUIDs[0]);
-            expect(desc1).toBe('desktop 1');
+            expect(desc1).toBe('Desktop 1 (1)');
 
             const descUnknown = script.map.desc('unknown-uuid');
             expect(descUnknown).toBe('desktop unknown-uuid');
         });
 
+        test('should describe desktop without name by number', () => {
+            mockWorkspace.desktops[1].name = '';
+            script.map.build(mockWorkspace.desktops);
+
+            expect(script.map.desc(testUUIDs[1])).toBe('desktop 2');
+            expect(script.map.name(testUUIDs[1])).toBe('desktop 2');
+        });
+
+        test('should return desktop name', () => {
+            expect(script.map.name(testUUIDs[1])).toBe('Desktop 2');
+        });
+
+        test('should find desktop by name', () => {
+            expect(script.map.idByName('Desktop 3')).toBe(testUUIDs[2]);
+            expect(script.map.idByName('Unknown')).toBeUndefined();
+        });
+
+        test('should track desktop renames', () => {
+            const desktop = mockWorkspace.desktops[2];
+            const nameChangedHandler = desktop.nameChanged.connect.mock.calls[0][0];
+
+            desktop.name = 'Mail';
+            nameChangedHandler();
+
+            expect(script.map.desc(testUUIDs[2])).toBe('Mail (3)');
+            expect(script.map.idByName('Mail')).toBe(testUUIDs[2]);
+            expect(script.map.idByName('Desktop 3')).toBeUndefined();
+        });
+
+        test('should stop tracking removed desktops', () => {
+            const removed = mockWorkspace.desktops.pop();
+
+            script.map.build(mockWorkspace.desktops);
+
+            expect(Object.keys(script.map.tracked)).toEqual(
+                mockWorkspace.desktops.map(desktop => desktop.id),
+            );
+            expect(script.map.tracked[removed.id]).toBeUndefined();
+        });
+
+        test('should track desktop name only once', () => {
+            script.map.build(mockWorkspace.desktops);
+
+            mockWorkspace.desktops.forEach(desktop => {
+                expect(desktop.nameChanged.connect).toHaveBeenCalledTimes(1);
+                expect(desktop.x11DesktopNumberChanged.connect).toHaveBeenCalledTimes(1);
+            });
+        });
+
         test('should handle debug logging', () => {
             debug.enabled = true;
 
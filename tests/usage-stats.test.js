@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Tests for desktop usage statistics
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+const desktopNames = ['Mail', 'Code', 'Chat'];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: desktopNames[index],
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: { id: testUUIDs[startDesktop] },
+        desktops,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Usage Statistics', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let desktopChangeHandler;
+
+    function switchDesktop(idx, time) {
+        const prevDesktop = mockWorkspace.currentDesktop;
+        Date.now.mockReturnValue(time);
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(prevDesktop);
+    }
+
+    function logStats(time) {
+        Date.now.mockReturnValue(time);
+        globalThis.console.log.mockClear();
+        mockRegisterShortcut.mock.calls.find(
+            call => call[0] === 'Log Desktop Usage Statistics',
+        )[3]();
+        return globalThis.console.log.mock.calls.map(call => call[0]);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(0);
+
+        script = loadScript();
+
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should count time and visits per desktop', () => {
+        switchDesktop(1, 60 * 1000); // Mail: 1m
+        switchDesktop(0, 3 * 60 * 1000); // Code: 2m
+        switchDesktop(1, 4 * 60 * 1000); // Mail: 1m
+
+        expect(script.usage.desktops).toEqual({
+            [testUUIDs[0]]: { name: 'Mail', time: 2 * 60 * 1000, visits: 2 },
+            [testUUIDs[1]]: { name: 'Code', time: 2 * 60 * 1000, visits: 2 },
+        });
+    });
+
+    test('should log readable summary including the current desktop', () => {
+        switchDesktop(1, 5 * 1000);
+        switchDesktop(2, (2 * 3600 + 65) * 1000);
+
+        const [summary] = logStats((2 * 3600 + 75) * 1000);
+
+        expect(summary).toBe(
+            [
+                'LastUsedDesktops: Desktop usage since 1970-01-01T00:00:00.000Z:',
+                '  Code: 2h 01m 00s (1 visit)',
+                '  Chat: 10s (1 visit)',
+                '  Mail: 5s (1 visit)',
+            ].join('\n'),
+        );
+    });
+
+    test('should log statistics as JSON', () => {
+        switchDesktop(1, 5 * 1000);
+
+        const [, json] = logStats(8 * 1000);
+
+        expect(JSON.parse(json.replace('LastUsedDesktops: ', ''))).toEqual({
+            since: '1970-01-01T00:00:00.000Z',
+            desktops: [
+                { id: testUUIDs[0], name: 'Mail', time: 5000, visits: 1 },
+                { id: testUUIDs[1], name: 'Code', time: 3000, visits: 1 },
+            ],
+        });
+    });
+
+    test('should log statistics with debug output disabled', () => {
+        expect(globalThis.debug.enabled).toBe(false);
+
+        expect(logStats(1000)).toHaveLength(2);
+    });
+
+    test('should use current names and keep removed desktops', () => {
+        switchDesktop(1, 5 * 1000);
+        switchDesktop(2, 8 * 1000);
+
+        mockWorkspace.desktops[0].name = 'Inbox';
+        mockWorkspace.desktops.splice(1, 1);
+        mockWorkspace.desktopsChanged.connect.mock.calls[0][0]();
+
+        const [summary] = logStats(9 * 1000);
+
+        expect(summary).toContain('  Inbox: 5s (1 visit)');
+        expect(summary).toContain('  Code: 3s (1 visit)');
+    });
+});
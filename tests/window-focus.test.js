@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests for restoring the last active window of a desktop
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    '11111111-1111-1111-1111-111111111111', // Desktop 1
+    '22222222-2222-2222-2222-222222222222', // Desktop 2
+    '33333333-3333-3333-3333-333333333333', // Desktop 3
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        activeWindow: null,
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Window Focus Restore', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let desktopChangeHandler;
+    let windowActivatedHandler;
+    let windows;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function createWindow(caption, desktopIdx) {
+        return { caption, desktops: [mockWorkspace.desktops[desktopIdx]], minimized: false };
+    }
+
+    function activate(window) {
+        mockWorkspace.activeWindow = window;
+        windowActivatedHandler(window);
+    }
+
+    /**
+     * Switch desktop by other means, KWin activates the top window on it.
+     */
+    function switchDesktop(idx, topWindow) {
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        activate(topWindow);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) => defaultValue);
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+        windowActivatedHandler = mockWorkspace.windowActivated.connect.mock.calls[0][0];
+
+        windows = {
+            editor: createWindow('Editor', 0),
+            browser: createWindow('Browser', 0),
+            terminal: createWindow('Terminal', 1),
+            chat: createWindow('Chat', 2),
+        };
+        activate(windows.editor);
+        activate(windows.browser);
+        activate(windows.editor); // Desktop 1: Editor
+        switchDesktop(1, windows.terminal); // Desktop 2: Terminal
+        switchDesktop(2, windows.chat); // Desktop 3: Chat
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should record last active window per desktop', () => {
+        expect(script.desktopWindow).toEqual({
+            [testUUIDs[0]]: windows.editor,
+            [testUUIDs[1]]: windows.terminal,
+            [testUUIDs[2]]: windows.chat,
+        });
+    });
+
+    test('should restore last active window after history navigation', () => {
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')();
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+        expect(mockWorkspace.activeWindow).toBe(windows.terminal);
+    });
+
+    test('should restore last active window after direct navigation', () => {
+        shortcut('Go to Desktop 1')();
+
+        expect(mockWorkspace.activeWindow).toBe(windows.editor);
+    });
+
+    test('should restore last active window when walk is finalized', () => {
+        Date.now.mockReturnValue(2000);
+        shortcut('Last Used Virtual Desktops')(); // 3 → 2
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+        activate(createWindow('Viewer', 1)); // Focus chain picked another window
+
+        globalThis.QTimer.mock.results[0].value.timeout.connect.mock.calls[0][0]();
+
+        expect(mockWorkspace.activeWindow).toBe(windows.terminal);
+        expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[2], testUUIDs[1]]);
+    });
+
+    test('should restore window when focus chain activates another one on switch', () => {
+        // KWin activates the top window of the focus chain while switching desktop.
+        let currentDesktop = mockWorkspace.currentDesktop;
+        Object.defineProperty(mockWorkspace, 'currentDesktop', {
+            get: () => currentDesktop,
+            set: desktop => {
+                currentDesktop = desktop;
+                const top = Object.values(windows).find(w => w.desktops[0] === desktop);
+                activate(top === windows.editor ? windows.browser : top);
+            },
+        });
+
+        shortcut('Go to Desktop 1')();
+
+        expect(mockWorkspace.activeWindow).toBe(windows.editor);
+        expect(script.desktopWindow[testUUIDs[0]]).toBe(windows.editor);
+    });
+
+    test('should keep moved window active when walk with it ends', () => {
+        Date.now.mockReturnValue(2000);
+        shortcut('Move Window to Previous Used Desktop and Follow')(); // 3 → 2 with Chat
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+
+        globalThis.QTimer.mock.results[0].value.timeout.connect.mock.calls[0][0]();
+
+        expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+        expect(mockWorkspace.activeWindow).toBe(windows.chat);
+    });
+
+    test('should skip closed, moved away and minimized windows', () => {
+        mockWorkspace.windowRemoved.connect.mock.calls[0][0](windows.terminal);
+        shortcut('Go to Desktop 2')();
+        expect(mockWorkspace.activeWindow).toBe(windows.chat);
+
+        windows.editor.desktops = [mockWorkspace.desktops[2]];
+        shortcut('Go to Desktop 1')();
+        expect(mockWorkspace.activeWindow).toBe(windows.chat);
+
+        windows.editor.desktops = [mockWorkspace.desktops[0]];
+        windows.editor.minimized = true;
+        shortcut('Go to Desktop 1')();
+        expect(mockWorkspace.activeWindow).toBe(windows.chat);
+    });
+
+    test('should restore window shown on all desktops', () => {
+        const notes = { caption: 'Notes', desktops: [], onAllDesktops: true, minimized: false };
+        switchDesktop(0, notes);
+        switchDesktop(2, windows.chat);
+
+        shortcut('Go to Desktop 1')();
+
+        expect(mockWorkspace.activeWindow).toBe(notes);
+    });
+
+    test('should not record special windows', () => {
+        activate({ caption: 'Desktop', desktops: [], specialWindow: true });
+
+        expect(script.desktopWindow[testUUIDs[2]]).toBe(windows.chat);
+        expect(() => windowActivatedHandler(null)).not.toThrow();
+    });
+});
@@ -0,0 +1,460 @@
+/**
+ * @fileoverview Tests for moving windows between desktops
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Mock UUIDs for testing
+const testUUIDs = [
+    'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', // Desktop 1
+    'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', // Desktop 2
+    'cccccccc-cccc-cccc-cccc-cccccccccccc', // Desktop 3
+    'dddddddd-dddd-dddd-dddd-dddddddddddd', // Desktop 4
+];
+
+function createMockWorkspace(startDesktop = 0) {
+    const desktops = testUUIDs.map((uuid, index) => ({
+        id: uuid,
+        x11DesktopNumber: index + 1,
+        name: `Desktop ${index + 1}`,
+        nameChanged: { connect: jest.fn() },
+        x11DesktopNumberChanged: { connect: jest.fn() },
+    }));
+
+    return {
+        currentDesktop: desktops[startDesktop],
+        desktops,
+        activeWindow: { caption: 'Editor', desktops: [desktops[startDesktop]] },
+        currentActivity: 'activity-1',
+        currentDesktopChanged: { connect: jest.fn() },
+        desktopsChanged: { connect: jest.fn() },
+        desktopLayoutChanged: { connect: jest.fn() },
+        currentActivityChanged: { connect: jest.fn() },
+        activityAdded: { connect: jest.fn() },
+        activityRemoved: { connect: jest.fn() },
+        windowActivated: { connect: jest.fn() },
+        windowAdded: { connect: jest.fn() },
+        windowRemoved: { connect: jest.fn() },
+    };
+}
+
+function loadScript() {
+    const scriptPath = path.join(__dirname, '..', 'contents', 'code', 'main.js');
+    const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+
+    if (globalThis.lastUsedDesktops) {
+        delete globalThis.lastUsedDesktops;
+    }
+
+    eval(scriptContent);
+    return globalThis.lastUsedDesktops;
+}
+
+describe('Window Navigation', () => {
+    let mockWorkspace;
+    let mockRegisterShortcut;
+    let script;
+    let config;
+    let desktopChangeHandler;
+
+    function shortcut(title) {
+        return mockRegisterShortcut.mock.calls.find(call => call[0] === title)[3];
+    }
+
+    function switchDesktop(idx) {
+        mockWorkspace.currentDesktop = mockWorkspace.desktops[idx];
+        desktopChangeHandler(mockWorkspace.currentDesktop);
+    }
+
+    function windowDesktopIDs() {
+        return mockWorkspace.activeWindow.desktops.map(desktop => desktop.id);
+    }
+
+    function desktopIDs(window) {
+        return window.desktops.map(desktop => desktop.id);
+    }
+
+    function activate(window) {
+        mockWorkspace.activeWindow = window;
+        mockWorkspace.windowActivated.connect.mock.calls[0][0](window);
+    }
+
+    /**
+     * Makes window lose focus like in KWin: when it's sent away from the current desktop,
+     * the focus chain activates the next window right away.
+     */
+    function useFocusChain(window, next) {
+        let desktops = window.desktops;
+        Object.defineProperty(window, 'desktops', {
+            get: () => desktops,
+            set: value => {
+                desktops = value;
+                const current = mockWorkspace.currentDesktop.id;
+                if (
+                    mockWorkspace.activeWindow === window &&
+                    value.length &&
+                    !value.some(desktop => desktop.id === current)
+                ) {
+                    activate(next);
+                }
+            },
+        });
+    }
+
+    function setup() {
+        script = loadScript();
+        desktopChangeHandler = mockWorkspace.currentDesktopChanged.connect.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockWorkspace = createMockWorkspace(0);
+        mockRegisterShortcut = jest.fn();
+        config = {};
+
+        globalThis.workspace = mockWorkspace;
+        globalThis.registerShortcut = mockRegisterShortcut;
+        globalThis.registerUserActionsMenu = jest.fn();
+        globalThis.readConfig = jest.fn((key, defaultValue) =>
+            key in config ? config[key] : defaultValue,
+        );
+        globalThis.callDBus = jest.fn();
+        globalThis.options = { configChanged: { connect: jest.fn() } };
+        globalThis.QTimer = jest.fn(() => ({ timeout: { connect: jest.fn() }, start: jest.fn() }));
+        globalThis.console = { log: jest.fn(), error: jest.fn() };
+
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    describe('Move Window to Desktop N', () => {
+        test('should move active window to specified desktop', () => {
+            setup();
+
+            shortcut('Move Window to Desktop 3')();
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]); // Not followed
+        });
+
+        test('should move window back when it is already on target desktop', () => {
+            setup();
+            const window = mockWorkspace.activeWindow;
+            const browser = { caption: 'Browser', desktops: [mockWorkspace.desktops[0]] };
+            useFocusChain(window, browser);
+
+            shortcut('Move Window to Desktop 3')();
+            expect(mockWorkspace.activeWindow).toBe(browser);
+
+            shortcut('Move Window to Desktop 3')();
+            expect(desktopIDs(window)).toEqual([testUUIDs[0]]);
+            expect(desktopIDs(browser)).toEqual([testUUIDs[0]]);
+            expect(mockWorkspace.activeWindow).toBe(window);
+
+            shortcut('Move Window to Desktop 3')();
+            expect(desktopIDs(window)).toEqual([testUUIDs[2]]);
+        });
+
+        test('should send windows to the same desktop one after another', () => {
+            setup();
+            const window = mockWorkspace.activeWindow;
+            const browser = { caption: 'Browser', desktops: [mockWorkspace.desktops[0]] };
+            const terminal = { caption: 'Terminal', desktops: [mockWorkspace.desktops[0]] };
+            useFocusChain(window, browser);
+            useFocusChain(browser, terminal);
+
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Desktop 3')();
+            Date.now.mockReturnValue(7000);
+            shortcut('Move Window to Desktop 3')();
+
+            expect(desktopIDs(window)).toEqual([testUUIDs[2]]);
+            expect(desktopIDs(browser)).toEqual([testUUIDs[2]]);
+            expect(mockWorkspace.activeWindow).toBe(terminal);
+        });
+
+        test('should move active window after another window is activated', () => {
+            setup();
+            const window = mockWorkspace.activeWindow;
+            const browser = { caption: 'Browser', desktops: [mockWorkspace.desktops[0]] };
+            const terminal = { caption: 'Terminal', desktops: [mockWorkspace.desktops[0]] };
+            useFocusChain(window, browser);
+
+            shortcut('Move Window to Desktop 3')();
+            activate(terminal);
+            shortcut('Move Window to Desktop 3')();
+
+            expect(desktopIDs(window)).toEqual([testUUIDs[2]]);
+            expect(desktopIDs(terminal)).toEqual([testUUIDs[2]]);
+            expect(desktopIDs(browser)).toEqual([testUUIDs[0]]);
+        });
+
+        test('should move window back to the desktop it came from', () => {
+            setup();
+            mockWorkspace.activeWindow.desktops = [mockWorkspace.desktops[1]];
+
+            shortcut('Move Window to Desktop 4')();
+            shortcut('Move Window to Desktop 4')();
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[1]]);
+        });
+
+        test('should move window from all desktops back to current desktop', () => {
+            setup();
+            mockWorkspace.activeWindow.desktops = [];
+
+            shortcut('Move Window to Desktop 2')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[1]]);
+
+            shortcut('Move Window to Desktop 2')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[0]]);
+        });
+
+        test('should move window to previous used desktop if origin is unknown', () => {
+            setup();
+            switchDesktop(3);
+            switchDesktop(1); // History: [1, 4, 2]
+            mockWorkspace.activeWindow.desktops = [mockWorkspace.desktops[1]];
+
+            shortcut('Move Window to Desktop 2')();
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[3]]);
+        });
+
+        test('should not move window if there is nowhere to move it back', () => {
+            setup();
+
+            shortcut('Move Window to Desktop 1')();
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[0]]);
+        });
+
+        test('should handle missing desktop and missing window', () => {
+            setup();
+
+            expect(() => shortcut('Move Window to Desktop 10')()).not.toThrow();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[0]]);
+
+            mockWorkspace.activeWindow = null;
+            expect(() => shortcut('Move Window to Desktop 2')()).not.toThrow();
+        });
+
+        test('should follow moved window when configured', () => {
+            config.moveWindowFollow = true;
+            setup();
+
+            shortcut('Move Window to Desktop 3')();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[2]]);
+
+            shortcut('Move Window to Desktop 3')();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[0]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[0]);
+            expect(script.desktopHistory).toEqual([testUUIDs[2], testUUIDs[0]]);
+        });
+    });
+
+    describe('Move Window to Previous Used Desktop', () => {
+        beforeEach(() => {
+            setup();
+            // Build history: 1 → 2 → 3 → 4
+            for (let i = 1; i < testUUIDs.length; i++) {
+                switchDesktop(i);
+            }
+            mockWorkspace.activeWindow.desktops = [mockWorkspace.desktops[3]];
+        });
+
+        test('should move window to previously used desktop', () => {
+            shortcut('Move Window to Previous Used Desktop')();
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+            expect(script.desktopHistory).toEqual(testUUIDs);
+        });
+
+        test('should walk window back through history with quick presses', () => {
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+
+            Date.now.mockReturnValue(2200);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[1]]);
+
+            Date.now.mockReturnValue(2400);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[0]]);
+
+            Date.now.mockReturnValue(2600);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[0]]);
+
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+        });
+
+        test('should keep walking the moved window after it lost focus', () => {
+            const window = mockWorkspace.activeWindow;
+            const browser = { caption: 'Browser', desktops: [mockWorkspace.desktops[3]] };
+            useFocusChain(window, browser);
+
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(mockWorkspace.activeWindow).toBe(browser);
+            Date.now.mockReturnValue(2200);
+            shortcut('Move Window to Previous Used Desktop')();
+            Date.now.mockReturnValue(2400);
+            shortcut('Move Window to Previous Used Desktop')();
+
+            expect(desktopIDs(window)).toEqual([testUUIDs[0]]);
+            expect(desktopIDs(browser)).toEqual([testUUIDs[3]]);
+        });
+
+        test('should keep windows moved by number and through history apart', () => {
+            switchDesktop(2);
+            switchDesktop(0); // History: [2, 4, 3, 1]
+            const mail = { caption: 'Mail', desktops: [mockWorkspace.desktops[0]] };
+            const window = { caption: 'Terminal', desktops: [mockWorkspace.desktops[0]] };
+            const browser = { caption: 'Browser', desktops: [mockWorkspace.desktops[0]] };
+            const player = { caption: 'Player', desktops: [mockWorkspace.desktops[0]] };
+            activate(mail);
+            useFocusChain(mail, window);
+            useFocusChain(window, browser);
+            useFocusChain(browser, player);
+
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Desktop 2')();
+            Date.now.mockReturnValue(2200);
+            shortcut('Move Window to Previous Used Desktop')();
+            Date.now.mockReturnValue(2400);
+            shortcut('Move Window to Desktop 3')();
+
+            expect(desktopIDs(mail)).toEqual([testUUIDs[1]]);
+            expect(desktopIDs(window)).toEqual([testUUIDs[2]]);
+            expect(desktopIDs(browser)).toEqual([testUUIDs[2]]);
+            expect(mockWorkspace.activeWindow).toBe(player);
+        });
+
+        test('should restart walk after timeout', () => {
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Previous Used Desktop')();
+            Date.now.mockReturnValue(2200);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[1]]);
+
+            Date.now.mockReturnValue(3000);
+            shortcut('Move Window to Previous Used Desktop')();
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+        });
+
+        test('should not continue desktop navigation walk', () => {
+            Date.now.mockReturnValue(2000);
+            shortcut('Last Used Virtual Desktops')(); // 4 → 3
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            Date.now.mockReturnValue(2200);
+            shortcut('Move Window to Previous Used Desktop')();
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+        });
+
+        test('should move window and follow it', () => {
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Previous Used Desktop and Follow')();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[2]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[2]);
+        });
+
+        test('should walk window and view back through history with quick presses', () => {
+            const window = mockWorkspace.activeWindow;
+
+            Date.now.mockReturnValue(2000);
+            shortcut('Move Window to Previous Used Desktop and Follow')();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+            Date.now.mockReturnValue(2200);
+            shortcut('Move Window to Previous Used Desktop and Follow')();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expect(windowDesktopIDs()).toEqual([testUUIDs[1]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+            expect(mockWorkspace.activeWindow).toBe(window);
+
+            // Walk is finalized on next fresh press
+            Date.now.mockReturnValue(3000);
+            shortcut('Move Window to Previous Used Desktop and Follow')();
+            desktopChangeHandler(mockWorkspace.currentDesktop);
+
+            expect(script.desktopHistory).toEqual([
+                testUUIDs[0],
+                testUUIDs[2],
+                testUUIDs[3],
+                testUUIDs[1],
+            ]);
+            expect(windowDesktopIDs()).toEqual([testUUIDs[3]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+        });
+
+        test('should handle missing window', () => {
+            mockWorkspace.activeWindow = null;
+
+            expect(() => shortcut('Move Window to Previous Used Desktop')()).not.toThrow();
+            expect(() =>
+                shortcut('Move Window to Previous Used Desktop and Follow')(),
+            ).not.toThrow();
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[3]);
+        });
+    });
+
+    describe('Send to Recent Desktop Menu', () => {
+        function menu(window) {
+            return globalThis.registerUserActionsMenu.mock.calls[0][0](window);
+        }
+
+        beforeEach(() => {
+            setup();
+            switchDesktop(2);
+            switchDesktop(1); // History: [1, 3, 2]
+        });
+
+        test('should list desktops in most recently used order', () => {
+            const window = { caption: 'Terminal', desktops: [mockWorkspace.desktops[2]] };
+
+            const result = menu(window);
+
+            expect(result.text).toBe('Send to recent desktop');
+            expect(result.items.map(item => item.text)).toEqual([
+                'Desktop 2',
+                'Desktop 3',
+                'Desktop 1',
+            ]);
+            expect(result.items.map(item => item.checked)).toEqual([false, true, false]);
+            expect(script.desktopHistory).toEqual([testUUIDs[0], testUUIDs[2], testUUIDs[1]]);
+        });
+
+        test('should move window to chosen desktop', () => {
+            const window = { caption: 'Terminal', desktops: [mockWorkspace.desktops[1]] };
+
+            menu(window).items[2].triggered();
+
+            expect(window.desktops.map(desktop => desktop.id)).toEqual([testUUIDs[0]]);
+            expect(mockWorkspace.currentDesktop.id).toBe(testUUIDs[1]);
+        });
+
+        test('should not check any desktop for window on all desktops', () => {
+            const result = menu({ caption: 'Panel', desktops: [] });
+
+            expect(result.items.every(item => !item.checked)).toBe(true);
+        });
+    });
+});